@@ -1,7 +1,8 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   DndContext,
   DragOverlay,
+  KeyboardSensor,
   PointerSensor,
   closestCenter,
   useSensor,
@@ -12,15 +13,81 @@ import {
   useSortable,
   verticalListSortingStrategy,
   arrayMove,
+  sortableKeyboardCoordinates,
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
-import * as htmlToImage from "html-to-image";
-
-const ROOT_ID = "root";
-
-function uid() {
-  return Math.random().toString(16).slice(2, 10);
-}
+import {
+  CLIPBOARD_JSON_TYPE,
+  clipboardPayload,
+  parseClipboardItems,
+  uniqueName,
+  pasteItems,
+  duplicateNodes,
+} from "./lib/clipboard.js";
+import {
+  DIFF_MARKS,
+  diffTrees,
+  diffRows,
+  diffNote,
+  diffText,
+  diffSummary,
+  diffMarkdown,
+  structureFromText,
+} from "./lib/compare.js";
+import {
+  DEFAULT_IGNORES,
+  compileIgnoreRules,
+  buildFromPaths,
+  collectFromDirectoryHandle,
+  collectFromFileList,
+} from "./lib/folderImport.js";
+import { ICON_THEMES, DEFAULT_ICON_THEME, icon, withIcon } from "./lib/icons.js";
+import { markdownTree } from "./lib/markdown.js";
+import { MERGE_STRATEGIES, mergeItems } from "./lib/merge.js";
+import { MERMAID_SYNTAXES, DEFAULT_MERMAID_OPTIONS, mermaid } from "./lib/mermaid.js";
+import {
+  checkName,
+  problemIcon,
+  draftPathProblems,
+  draftNameProblems,
+  nestedNameError,
+  findNameProblems,
+} from "./lib/names.js";
+import { shellScript, powershellScript, nodeScript } from "./lib/scaffold.js";
+import { SEARCH_MODES, compileSearch, searchMatches, searchFilter, isExpanded, shownChildren } from "./lib/search.js";
+import { SHARE_PARAM, SHARE_MAX_LINK, encodeShare, decodeShare } from "./lib/share.js";
+import { SORT_ORDERS, DEFAULT_SORT, folderIdsUnder, sortChildren, sameNodes } from "./lib/sort.js";
+import {
+  BUILTIN_TEMPLATES,
+  isTemplateEntry,
+  cleanTemplateTree,
+  templatePack,
+  parseTemplatePack,
+  groupTemplates,
+  templateParams,
+  resolveParamValues,
+  instantiateTemplate,
+} from "./lib/templates.js";
+import { parseTextTree, TREE_TEXT_TOGGLES, DEFAULT_TREE_TEXT_OPTIONS, unicodeTree } from "./lib/textTree.js";
+import {
+  ROOT_ID,
+  uid,
+  isDescendant,
+  clone,
+  defaultState,
+  splitPath,
+  addPaths,
+  parsePathList,
+  buildFromNested,
+  toNested,
+  validateStructure,
+  topLevelIds,
+  removeSubtrees,
+  moveNodes,
+  setChildrenOrder,
+} from "./lib/tree.js";
+import { outlineText, yamlTree, parseYaml, yamlToNested } from "./lib/yaml.js";
+import { buildTreeZip } from "./lib/zip.js";
 
 function downloadBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
@@ -38,253 +105,399 @@ function downloadText(filename, text, mime = "text/plain") {
   downloadBlob(filename, blob);
 }
 
-function icon(kind) {
-  return kind === "folder" ? "📁" : "📄";
+/* ----------------- Mermaid preview ----------------- */
+let mermaidRenderCount = 0; // unique element ids for mermaid.render
+
+/* ----------------- SVG diagram ----------------- */
+// Layout presets for the exported diagram. Sizes are in px.
+const DIAGRAM_LAYOUTS = {
+  compact: {
+    label: "Compact",
+    fontSize: 12,
+    rowHeight: 20,
+    indent: 18,
+    padding: 12,
+    radius: 8,
+    mono: false,
+    background: "#ffffff",
+    border: "#e5e7eb",
+  },
+  spacious: {
+    label: "Spacious",
+    fontSize: 15,
+    rowHeight: 34,
+    indent: 30,
+    padding: 28,
+    radius: 18,
+    mono: false,
+    background: "#ffffff",
+    border: "#e5e7eb",
+  },
+  readme: {
+    label: "README",
+    fontSize: 13,
+    rowHeight: 22,
+    indent: 22,
+    padding: 18,
+    radius: 6,
+    mono: true,
+    background: "#f6f8fa",
+    border: "#d0d7de",
+  },
+};
+const DEFAULT_DIAGRAM_LAYOUT = "readme";
+const DIAGRAM_COLORS = { text: "#111827", muted: "#6b7280", line: "#c4c9d4", folder: "#f59e0b", file: "#94a3b8" };
+const SANS_FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+const MONO_FONT = "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+const PNG_MAX_SIDE = 16000; // canvases much larger than this fail silently in some browsers
+
+function xmlEscape(s) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+  return String(s)
+    .replace(/\p{Cc}/gu, "")
+    .replace(/[&<>"']/g, (c) => entities[c]);
 }
 
-function isDescendant(nodes, nodeId, maybeAncestorId) {
-  // returns true if nodeId is inside maybeAncestorId's subtree
-  let cur = nodes[nodeId];
-  while (cur && cur.parent) {
-    if (cur.parent === maybeAncestorId) return true;
-    cur = nodes[cur.parent];
-  }
-  return false;
-}
+let measureCanvas = null;
 
-function clone(obj) {
-  return JSON.parse(JSON.stringify(obj));
+// Width of `text` in px; estimated where there is no canvas to measure with.
+function measureText(text, fontSize, { bold = false, mono = false } = {}) {
+  const ctx = typeof document !== "undefined" && document.createElement
+    ? (measureCanvas ||= document.createElement("canvas")).getContext("2d")
+    : null;
+  if (!ctx) return [...text].length * fontSize * (mono ? 0.6 : 0.56);
+  ctx.font = `${bold ? "600 " : ""}${fontSize}px ${mono ? MONO_FONT : SANS_FONT}`;
+  return ctx.measureText(text).width;
 }
 
-/**
- * Data model: nodes keyed by id.
- * Folder node:
- *   {id, kind:"folder", name, parent, children:[ids], isOpen:boolean}
- * File node:
- *   {id, kind:"file", name, parent}
- */
-function defaultState() {
-  return {
-    [ROOT_ID]: {
-      id: ROOT_ID,
-      kind: "folder",
-      name: "PROJECT",
-      parent: null,
-      children: [],
-      isOpen: true,
-    },
-  };
+// The classic set is drawn as shapes so the diagram looks the same without emoji fonts.
+function vectorIcon(kind, x, cy, size) {
+  const r = (n) => Math.round(n * 10) / 10;
+  if (kind === "folder") {
+    const top = cy - size * 0.36;
+    return `<path d="M${r(x)},${r(top)} h${r(size * 0.38)} l${r(size * 0.1)},${r(size * 0.12)} h${r(size * 0.52)} v${r(size * 0.6)} h${r(-size)} z" fill="${DIAGRAM_COLORS.folder}"/>`;
+  }
+  const left = x + size * 0.18;
+  const top = cy - size * 0.44;
+  return `<path d="M${r(left)},${r(top)} h${r(size * 0.44)} l${r(size * 0.2)},${r(size * 0.2)} v${r(size * 0.68)} h${r(-size * 0.64)} z" fill="none" stroke="${DIAGRAM_COLORS.file}" stroke-width="1.2"/>`;
 }
 
-function ensureFolder(nodes, name, parentId) {
-  const parent = nodes[parentId];
-  const existingId =
-    parent.children.find((cid) => nodes[cid]?.kind === "folder" && nodes[cid]?.name === name) || null;
-  if (existingId) return existingId;
+// Draws the visible tree (collapsed folders stay closed) as plain SVG: text, connector lines
+// and icons, with no foreignObject, so README renderers accept it. Returns {svg, width, height}.
+function svgDiagram(nodes, rootId, { layout = DEFAULT_DIAGRAM_LAYOUT, iconTheme = DEFAULT_ICON_THEME } = {}) {
+  const L = DIAGRAM_LAYOUTS[layout] || DIAGRAM_LAYOUTS[DEFAULT_DIAGRAM_LAYOUT];
+  const fs = L.fontSize;
+  const iconSize = iconTheme === "none" ? 0 : Math.round(fs * 1.2);
+  const gap = Math.round(fs * 0.45);
+  const r = (n) => Math.round(n * 10) / 10;
+
+  const rows = [];
+  (function walk(id, depth) {
+    const n = nodes[id];
+    rows.push({ node: n, depth });
+    if (n.kind === "folder" && n.isOpen) (n.children || []).forEach((cid) => walk(cid, depth + 1));
+  })(rootId, 0);
+
+  const rowIndex = new Map(rows.map((row, i) => [row.node.id, i]));
+  rows.forEach((row, i) => {
+    row.x = L.padding + row.depth * L.indent;
+    row.cy = L.padding + i * L.rowHeight + L.rowHeight / 2;
+    row.textX = row.x + (iconSize ? iconSize + gap : 0);
+    row.bold = row.node.kind === "folder";
+    row.textEnd = row.textX + measureText(row.node.name, fs, { bold: row.bold, mono: L.mono });
+  });
 
-  const id = uid();
-  nodes[id] = { id, kind: "folder", name, parent: parentId, children: [], isOpen: true };
-  parent.children.push(id);
-  return id;
-}
+  // descriptions line up in one column, like the "# comments" in tree.txt
+  const described = rows.filter((row) => row.node.description);
+  const descX = Math.max(0, ...rows.map((row) => row.textEnd)) + gap * 3;
+  const descEnd = Math.max(
+    0,
+    ...described.map((row) => descX + measureText(row.node.description, fs * 0.92, { mono: L.mono }))
+  );
+  const width = Math.ceil(Math.max(descEnd, ...rows.map((row) => row.textEnd)) + L.padding);
+  const height = Math.ceil(L.padding * 2 + rows.length * L.rowHeight);
+
+  // one path for every connector: a trunk below each open folder and a tick to each child
+  const lines = [];
+  rows.forEach((row) => {
+    const n = row.node;
+    if (n.kind !== "folder" || !n.isOpen || !n.children?.length) return;
+    const trunkX = row.x + (iconSize ? iconSize / 2 : 3);
+    const last = rows[rowIndex.get(n.children[n.children.length - 1])];
+    lines.push(`M${r(trunkX)},${r(row.cy + fs * 0.6)} V${r(last.cy)}`);
+    n.children.forEach((cid) => {
+      const child = rows[rowIndex.get(cid)];
+      lines.push(`M${r(trunkX)},${r(child.cy)} H${r(child.x - 3)}`);
+    });
+  });
 
-function ensureFile(nodes, name, parentId) {
-  const parent = nodes[parentId];
-  const exists = parent.children.some((cid) => nodes[cid]?.kind === "file" && nodes[cid]?.name === name);
-  if (exists) return;
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${xmlEscape(L.mono ? MONO_FONT : SANS_FONT)}" font-size="${fs}">`,
+    `  <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="${L.radius}" fill="${L.background}" stroke="${L.border}"/>`,
+  ];
+  if (lines.length) out.push(`  <path d="${lines.join(" ")}" fill="none" stroke="${DIAGRAM_COLORS.line}" stroke-width="1"/>`);
+
+  rows.forEach((row) => {
+    const n = row.node;
+    if (iconTheme === "classic") out.push("  " + vectorIcon(n.kind, row.x, row.cy, iconSize));
+    else if (iconSize) out.push(`  <text x="${r(row.x)}" y="${r(row.cy)}" dy="0.35em" font-size="${r(fs * 1.05)}">${icon(n, iconTheme)}</text>`);
+    out.push(
+      `  <text x="${r(row.textX)}" y="${r(row.cy)}" dy="0.35em" fill="${DIAGRAM_COLORS.text}"${row.bold ? ' font-weight="600"' : ""}>${xmlEscape(n.name)}</text>`
+    );
+    if (n.description) {
+      out.push(
+        `  <text x="${r(descX)}" y="${r(row.cy)}" dy="0.35em" fill="${DIAGRAM_COLORS.muted}" font-size="${r(fs * 0.92)}">${xmlEscape(n.description)}</text>`
+      );
+    }
+  });
 
-  const id = uid();
-  nodes[id] = { id, kind: "file", name, parent: parentId };
-  parent.children.push(id);
+  out.push("</svg>");
+  return { svg: out.join("\n") + "\n", width, height };
 }
 
-function buildFromNested(nested) {
-  const nodes = defaultState();
-  nodes[ROOT_ID].name = nested?.name || "PROJECT";
-
-  function addChildren(parentId, children = []) {
-    children.forEach((c) => {
-      const id = uid();
-      const kind = c.kind || "folder";
-      const name = c.name || "untitled";
-      if (kind === "folder") {
-        nodes[id] = { id, kind, name, parent: parentId, children: [], isOpen: true };
-        nodes[parentId].children.push(id);
-        addChildren(id, c.children || []);
-      } else {
-        nodes[id] = { id, kind, name, parent: parentId };
-        nodes[parentId].children.push(id);
-      }
-    });
+// Rasterizes a diagram; the scale drops below 2x for very large trees.
+async function svgToPngBlob({ svg, width, height }) {
+  const scale = Math.min(2, PNG_MAX_SIDE / Math.max(width, height));
+  if (scale < 0.5) throw new Error("The tree is too large for a PNG. Export SVG instead.");
+
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    return await new Promise((resolve, reject) =>
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png")
+    );
+  } finally {
+    URL.revokeObjectURL(url);
   }
-
-  addChildren(ROOT_ID, nested?.children || []);
-  return nodes;
 }
 
-function toNested(nodes, rootId) {
-  function build(id) {
-    const n = nodes[id];
-    const obj = { name: n.name, kind: n.kind };
-    if (n.kind === "folder") obj.children = (n.children || []).map(build);
-    return obj;
+/* ----------------- Clipboard ----------------- */
+// Puts both representations on the system clipboard. execCommand("copy") is the one way to
+// write more than plain text from a click or key handler without a permission prompt.
+function writeSystemClipboard({ json, text }) {
+  const onCopy = (e) => {
+    e.clipboardData.setData("text/plain", text);
+    e.clipboardData.setData(CLIPBOARD_JSON_TYPE, json);
+    e.preventDefault();
+  };
+  document.addEventListener("copy", onCopy);
+  try {
+    return document.execCommand("copy");
+  } catch {
+    return false;
+  } finally {
+    document.removeEventListener("copy", onCopy);
   }
-  return build(rootId);
 }
 
-function unicodeTree(nodes, rootId) {
-  const root = nodes[rootId];
-  const lines = [root.name];
-
-  function walk(parentId, prefix) {
-    const children = nodes[parentId].children || [];
-    children.forEach((cid, idx) => {
-      const child = nodes[cid];
-      const isLast = idx === children.length - 1;
-      const connector = isLast ? "└── " : "├── ";
-      lines.push(prefix + connector + child.name);
-
-      if (child.kind === "folder") {
-        const ext = isLast ? "    " : "│   ";
-        walk(child.id, prefix + ext);
-      }
-    });
-  }
-
-  walk(rootId, "");
-  return lines.join("\n");
-}
+/* ----------------- Local storage ----------------- */
+const STORAGE_PREFIX = "folderviz:";
 
-function markdownTree(nodes, rootId) {
-  const root = nodes[rootId];
-  const lines = [`- **${root.name}**`];
-
-  function walk(parentId, indent) {
-    const pad = "  ".repeat(indent);
-    const children = nodes[parentId].children || [];
-    children.forEach((cid) => {
-      const c = nodes[cid];
-      if (c.kind === "folder") {
-        lines.push(`${pad}- 📁 **${c.name}**`);
-        walk(c.id, indent + 1);
-      } else {
-        lines.push(`${pad}- 📄 ${c.name}`);
-      }
-    });
+function readStorage(key, fallback = null) {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
   }
-
-  walk(rootId, 1);
-  return lines.join("\n");
 }
 
-function mermaid(nodes, rootId) {
-  const safe = (s) => String(s).replaceAll('"', "'");
-  const idMap = Object.keys(nodes).reduce((acc, id) => {
-    acc[id] = `n_${id.replaceAll("-", "_")}`;
-    return acc;
-  }, {});
-  const lines = ["flowchart TD"];
-  Object.values(nodes).forEach((n) => {
-    const mid = idMap[n.id];
-    const label = safe(n.name);
-    lines.push(`  ${mid}["${n.kind === "folder" ? "📁" : "📄"} ${label}"]`);
-  });
-  Object.values(nodes).forEach((n) => {
-    if (n.parent) lines.push(`  ${idMap[n.parent]} --> ${idMap[n.id]}`);
-  });
-  return lines.join("\n");
+// Returns false when storage is unavailable or full.
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-function removeSubtree(nodes, nodeId) {
-  const copy = clone(nodes);
-  const parentId = copy[nodeId]?.parent;
-
-  // collect subtree ids
-  const stack = [nodeId];
-  for (let i = 0; i < stack.length; i++) {
-    const id = stack[i];
-    const n = copy[id];
-    if (n?.kind === "folder") {
-      (n.children || []).forEach((cid) => stack.push(cid));
-    }
+function removeStorage(key) {
+  try {
+    window.localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    // nothing to clean up
   }
+}
 
-  // remove from parent's children
-  if (parentId && copy[parentId]?.kind === "folder") {
-    copy[parentId].children = copy[parentId].children.filter((cid) => cid !== nodeId);
-  }
+/**
+ * Projects index: [{id, name, updatedAt}] under "projects", the tree of each
+ * project under "project:<id>" and the open project id under "activeProject".
+ */
+function loadWorkspace() {
+  const stored = readStorage("projects", []);
+  const projects = Array.isArray(stored) ? stored.filter((p) => p && p.id) : [];
+  if (!projects.length) projects.push({ id: uid(), name: "My project", updatedAt: Date.now() });
+
+  const activeId = readStorage("activeProject");
+  const active = projects.find((p) => p.id === activeId) || projects[0];
+  return { projects, activeId: active.id };
+}
 
-  // delete nodes
-  stack.forEach((id) => {
-    if (id !== ROOT_ID) delete copy[id];
-  });
+function loadProjectNodes(projectId) {
+  const nodes = readStorage(`project:${projectId}`);
+  if (!nodes || !nodes[ROOT_ID]) return defaultState();
+  // stored trees are written by the app itself, so repair quietly
+  return validateStructure({ root_id: ROOT_ID, nodes }).nodes;
+}
 
-  return copy;
+function formatTimestamp(ms) {
+  return ms ? new Date(ms).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" }) : "never";
 }
 
-function moveNode(nodes, activeId, overId, mode) {
-  // mode:
-  // - "into" => put active into over folder (append)
-  // - "before" => place active before overId in overId's parent
-  // - "after"  => place active after overId in overId's parent
-  const copy = clone(nodes);
-  const active = copy[activeId];
-  const over = copy[overId];
+/* ----------------- Share links ----------------- */
+// The encoded payload from location.hash, or null when the page was not opened from a share link.
+function shareHashPayload() {
+  const hash = window.location.hash.slice(1);
+  return hash.startsWith(SHARE_PARAM) ? hash.slice(SHARE_PARAM.length) : null;
+}
 
-  if (!active || !over) return nodes;
-  if (activeId === ROOT_ID) return nodes;
-  if (activeId === overId) return nodes;
+function clearShareHash() {
+  window.history.replaceState(null, "", window.location.pathname + window.location.search);
+}
 
-  // prevent moving folder into its own subtree
-  if (active.kind === "folder") {
-    if (mode === "into" && isDescendant(copy, overId, activeId)) return nodes;
-    if ((mode === "before" || mode === "after") && isDescendant(copy, over.parent, activeId)) return nodes;
-  }
+/* ----------------- History ----------------- */
+const HISTORY_LIMIT = 100;
 
-  // remove from old parent
-  const oldParent = copy[active.parent];
-  if (oldParent?.kind === "folder") {
-    oldParent.children = oldParent.children.filter((cid) => cid !== activeId);
-  }
+/**
+ * useState with an undo/redo stack of whole snapshots.
+ * set(updater, opts):
+ *   - opts.record=false updates the present without an undo step
+ *     (open/closed folders, search reveal)
+ *   - opts.coalesce="key" folds consecutive updates with the same key into
+ *     a single step (typing into a field)
+ */
+function useHistory(initial) {
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: typeof initial === "function" ? initial() : initial,
+    future: [],
+    coalesceKey: null,
+  }));
+
+  const set = useCallback((updater, { record = true, coalesce = null } = {}) => {
+    setHistory((h) => {
+      const next = typeof updater === "function" ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      // Any other update ends a run of coalesced edits, even one that isn't recorded
+      if (!record) return { ...h, present: next, coalesceKey: null };
+      if (coalesce && coalesce === h.coalesceKey) return { ...h, present: next, future: [] };
+      return {
+        past: [...h.past, h.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        coalesceKey: coalesce,
+      };
+    });
+  }, []);
 
-  if (mode === "into") {
-    if (over.kind !== "folder") return nodes;
-    active.parent = overId;
-    copy[overId].children.push(activeId);
-    copy[overId].isOpen = true;
-    return copy;
-  }
+  const undo = useCallback(() => {
+    setHistory((h) => {
+      if (!h.past.length) return h;
+      return {
+        past: h.past.slice(0, -1),
+        present: h.past[h.past.length - 1],
+        future: [h.present, ...h.future],
+        coalesceKey: null,
+      };
+    });
+  }, []);
 
-  // sibling move
-  const targetParentId = over.parent || ROOT_ID;
-  const targetParent = copy[targetParentId];
-  if (!targetParent || targetParent.kind !== "folder") return nodes;
+  // Start over from a snapshot with an empty undo stack (switching projects).
+  const reset = useCallback((state) => {
+    setHistory({ past: [], present: state, future: [], coalesceKey: null });
+  }, []);
 
-  active.parent = targetParentId;
+  const redo = useCallback(() => {
+    setHistory((h) => {
+      if (!h.future.length) return h;
+      return {
+        past: [...h.past, h.present],
+        present: h.future[0],
+        future: h.future.slice(1),
+        coalesceKey: null,
+      };
+    });
+  }, []);
 
-  const idx = targetParent.children.indexOf(overId);
-  const insertAt = mode === "before" ? Math.max(0, idx) : idx + 1;
-  targetParent.children.splice(insertAt, 0, activeId);
+  return {
+    state: history.present,
+    set,
+    reset,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
 
-  return copy;
+function isTextEditingTarget(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable;
 }
 
-function setChildrenOrder(nodes, parentId, newOrder) {
-  const copy = clone(nodes);
-  copy[parentId].children = newOrder;
-  return copy;
+/* ----------------- Keyboard ----------------- */
+// Rows in on-screen order: the root, then every child of an open folder.
+function visibleOrder(nodes, rootId, filter = null) {
+  const out = [];
+  function walk(id) {
+    out.push(id);
+    const n = nodes[id];
+    if (isExpanded(n, filter)) shownChildren(n, filter).forEach(walk);
+  }
+  walk(rootId);
+  return out;
 }
 
+// Navigation keys that also work in the read-only shared view
+const READ_ONLY_KEYS = ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End", "Enter"];
+
+// Browsers (Chrome in particular) keep Ctrl+N / Ctrl+Shift+N for themselves, hence the Alt variants.
+const SHORTCUTS = [
+  ["↑ / ↓", "Previous / next item"],
+  ["← / →", "Collapse / expand, or go to parent / first child"],
+  ["Home / End", "First / last item"],
+  ["Shift+↑ / Shift+↓", "Extend the selection"],
+  ["Ctrl+click / Shift+click", "Add to selection / select a range"],
+  ["Enter", "Open or close folder"],
+  ["F2", "Rename"],
+  ["Delete", "Delete the selected items"],
+  ["Ctrl+Shift+N  (Alt+Shift+N)", "New folder"],
+  ["Ctrl+N  (Alt+N)", "New file"],
+  ["Alt+↑ / Alt+↓", "Move up / down among siblings"],
+  ["Ctrl+C / Ctrl+X / Ctrl+V", "Copy / cut / paste (into a folder, or after a file)"],
+  ["Ctrl+D", "Duplicate"],
+  ["Tab, then Space on ⠿", "Pick up for keyboard drag; arrows move, Space drops, Esc cancels"],
+  ["Ctrl+Z / Ctrl+Shift+Z", "Undo / redo"],
+  ["Enter / Shift+Enter in search", "Next / previous match"],
+  ["?", "Show this help"],
+];
+
 /* ----------------- Sortable Row ----------------- */
 function SortableRow({
   id,
   node,
   depth,
-  selectedId,
+  posInSet,
+  setSize,
+  selected,
+  tabStopId,
   onSelect,
   onToggle,
   onContextMenu,
   highlight,
+  expanded,
+  problems,
+  iconTheme,
   scrollRefMap,
 }) {
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } =
@@ -305,28 +518,43 @@ function SortableRow({
       <div
         className={
           "row " +
-          (selectedId === id ? "rowSelected " : "") +
+          (selected ? "rowSelected " : "") +
           (highlight ? "rowHighlight " : "")
         }
         style={{ paddingLeft: 12 + depth * 26 }}
-        onClick={() => onSelect(id)}
+        role="treeitem"
+        data-id={id}
+        aria-level={depth + 2}
+        aria-posinset={posInSet}
+        aria-setsize={setSize}
+        aria-selected={selected}
+        aria-expanded={node.kind === "folder" ? expanded : undefined}
+        tabIndex={tabStopId === id ? 0 : -1}
+        onClick={(e) => onSelect(id, e)}
         onContextMenu={(e) => onContextMenu(e, id)}
         ref={(el) => (scrollRefMap.current[id] = el)}
       >
         <div className="rowLeft">
           <button
             className={"twist " + (node.kind === "folder" ? "" : "twistDisabled")}
+            tabIndex={-1}
             onClick={(e) => {
               e.stopPropagation();
               if (node.kind === "folder") onToggle(id);
             }}
-            title={node.kind === "folder" ? (node.isOpen ? "Collapse" : "Expand") : ""}
+            title={node.kind === "folder" ? (expanded ? "Collapse" : "Expand") : ""}
           >
-            {node.kind === "folder" ? (node.isOpen ? "▾" : "▸") : "•"}
+            {node.kind === "folder" ? (expanded ? "▾" : "▸") : "•"}
           </button>
 
-          <span className="rowIcon">{icon(node.kind)}</span>
+          {iconTheme !== "none" && <span className="rowIcon">{icon(node, iconTheme)}</span>}
           <span className="rowName">{node.name}</span>
+          {problems && (
+            <span className="rowWarn" title={problems.map((p) => p.message).join("\n")}>
+              {problemIcon(problems)}
+            </span>
+          )}
+          {node.description && <span className="rowDesc">{node.description}</span>}
         </div>
 
         <div className="rowRight">
@@ -345,46 +573,58 @@ function Tree({
   nodes,
   parentId,
   depth,
-  selectedId,
+  selectedSet,
+  tabStopId,
   onSelect,
   onToggle,
   onContextMenu,
-  query,
+  matchSet,
+  filter,
+  problemsById,
+  iconTheme,
   scrollRefMap,
 }) {
-  const parent = nodes[parentId];
-  const children = parent.children || [];
+  const children = shownChildren(nodes[parentId], filter);
 
   return (
-    <div>
+    <div role="group">
       <SortableContext items={children} strategy={verticalListSortingStrategy}>
-        {children.map((cid) => {
+        {children.map((cid, idx) => {
           const n = nodes[cid];
-          const highlight =
-            query && n.name.toLowerCase().includes(query.toLowerCase());
+          const expanded = isExpanded(n, filter);
           return (
             <React.Fragment key={cid}>
               <SortableRow
                 id={cid}
                 node={n}
                 depth={depth}
-                selectedId={selectedId}
+                posInSet={idx + 1}
+                setSize={children.length}
+                selected={selectedSet.has(cid)}
+                tabStopId={tabStopId}
                 onSelect={onSelect}
                 onToggle={onToggle}
                 onContextMenu={onContextMenu}
-                highlight={highlight}
+                highlight={matchSet.has(cid)}
+                expanded={expanded}
+                problems={problemsById[cid]}
+                iconTheme={iconTheme}
                 scrollRefMap={scrollRefMap}
               />
-              {n.kind === "folder" && n.isOpen && (
+              {expanded && (
                 <Tree
                   nodes={nodes}
                   parentId={cid}
                   depth={depth + 1}
-                  selectedId={selectedId}
+                  selectedSet={selectedSet}
+                  tabStopId={tabStopId}
                   onSelect={onSelect}
                   onToggle={onToggle}
                   onContextMenu={onContextMenu}
-                  query={query}
+                  matchSet={matchSet}
+                  filter={filter}
+                  problemsById={problemsById}
+                  iconTheme={iconTheme}
                   scrollRefMap={scrollRefMap}
                 />
               )}
@@ -397,142 +637,135 @@ function Tree({
 }
 
 /* ----------------- Templates ----------------- */
-const TEMPLATES = {
-  "React app": {
-    name: "my-react-app",
-    kind: "folder",
-    children: [
-      {
-        name: "src",
-        kind: "folder",
-        children: [
-          { name: "App.jsx", kind: "file" },
-          { name: "main.jsx", kind: "file" }
-        ]
-      },
-      { name: "public", kind: "folder", children: [] },
-      { name: "package.json", kind: "file" },
-      { name: "vite.config.js", kind: "file" },
-      { name: "README.md", kind: "file" },
-      { name: ".gitignore", kind: "file" }
-    ]
-  },
-  "Python package": {
-    name: "my-python-project",
-    kind: "folder",
-    children: [
-      {
-        name: "src",
-        kind: "folder",
-        children: [
-          {
-            name: "my_package",
-            kind: "folder",
-            children: [{ name: "__init__.py", kind: "file" }]
-          }
-        ]
-      },
-      {
-        name: "tests",
-        kind: "folder",
-        children: [{ name: "test_smoke.py", kind: "file" }]
-      },
-      { name: "pyproject.toml", kind: "file" },
-      { name: "README.md", kind: "file" },
-      { name: "requirements.txt", kind: "file" },
-      { name: ".gitignore", kind: "file" }
-    ]
-  },
-  "Writing project": {
-    name: "my-book",
-    kind: "folder",
-    children: [
-      {
-        name: "chapters",
-        kind: "folder",
-        children: [
-          { name: "01-opening.md", kind: "file" },
-          { name: "02-middle.md", kind: "file" }
-        ]
-      },
-      {
-        name: "notes",
-        kind: "folder",
-        children: [
-          { name: "research.md", kind: "file" },
-          { name: "ideas.md", kind: "file" }
-        ]
-      },
-      {
-        name: "assets",
-        kind: "folder",
-        children: [{ name: "cover.png", kind: "file" }]
-      },
-      { name: "README.md", kind: "file" }
-    ]
-  },
-  "eBook": {
-    name: "my-ebook",
-    kind: "folder",
-    children: [
-      {
-        name: "front-matter",
-        kind: "folder",
-        children: [
-          { name: "title-page.md", kind: "file" },
-          { name: "copyright.md", kind: "file" },
-          { name: "dedication.md", kind: "file" },
-          { name: "table-of-contents.md", kind: "file" }
-        ]
-      },
-      {
-        name: "chapters",
-        kind: "folder",
-        children: [
-          { name: "01-introduction.md", kind: "file" },
-          { name: "02-chapter-one.md", kind: "file" },
-          { name: "03-chapter-two.md", kind: "file" },
-          { name: "04-conclusion.md", kind: "file" }
-        ]
-      },
-      {
-        name: "back-matter",
-        kind: "folder",
-        children: [
-          { name: "appendix.md", kind: "file" },
-          { name: "resources.md", kind: "file" },
-          { name: "about-the-author.md", kind: "file" }
-        ]
-      },
-      {
-        name: "assets",
-        kind: "folder",
-        children: [
-          { name: "cover.jpg", kind: "file" },
-          { name: "images", kind: "folder", children: [] }
-        ]
-      },
-      { name: "book-description.md", kind: "file" },
-      { name: "metadata.json", kind: "file" },
-      { name: "README.md", kind: "file" }
-    ]
-  }
-};
+// Stored templates were written by the app, so anything broken is dropped quietly.
+function loadUserTemplates() {
+  const stored = readStorage("templates", []);
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter((t) => isTemplateEntry(t) && t.id)
+    .map((t) => ({ ...t, tree: cleanTemplateTree(t.tree, [], t.name) }))
+    .filter((t) => t.tree);
+}
+
+function TemplateOptions({ templates }) {
+  return groupTemplates(templates).map(([category, list]) => (
+    <optgroup key={category} label={category}>
+      {list.map((t) => (
+        <option key={t.id} value={t.id}>
+          {t.name}
+        </option>
+      ))}
+    </optgroup>
+  ));
+}
 
 export default function App() {
-  const [nodes, setNodes] = useState(() => defaultState());
+  const [workspace] = useState(loadWorkspace);
+  const [projects, setProjects] = useState(workspace.projects);
+  const [projectId, setProjectId] = useState(workspace.activeId);
+  const [saveFailed, setSaveFailed] = useState(false);
+  const lastSavedRef = useRef(null); // serialized nodes last written for projectId
+
+  const {
+    state: projectNodes,
+    set: setProjectNodes,
+    reset: resetNodes,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useHistory(() => loadProjectNodes(workspace.activeId));
+
+  // A tree opened from a share link is shown read-only instead of the open project:
+  // null | {status:"loading"} | {status:"error", error} | {status:"ready", nodes}
+  const [shared, setShared] = useState(() => (shareHashPayload() === null ? null : { status: "loading" }));
+  const readOnly = shared?.status === "ready";
+  const nodes = readOnly ? shared.nodes : projectNodes;
+  const [shareCopied, setShareCopied] = useState(false);
+  const [compare, setCompare] = useState(null); // {label, nodes, swapped}: the other tree, "before" unless swapped
+  const [compareProjectId, setCompareProjectId] = useState("");
+  const [compareText, setCompareText] = useState("");
+  const [diffCopied, setDiffCopied] = useState(false);
+  const [scaffoldTarget, setScaffoldTarget] = useState("");
+  const [zipBusy, setZipBusy] = useState(false);
+  const [importReview, setImportReview] = useState(null); // {fileName, problems, nodes} awaiting repair
+
+  const [sortRule, setSortRule] = useState(() => ({ ...DEFAULT_SORT, ...readStorage("sort", {}) }));
+  const [iconTheme, setIconTheme] = useState(() => {
+    const stored = readStorage("iconTheme");
+    return ICON_THEMES[stored] ? stored : DEFAULT_ICON_THEME;
+  });
+  const [treeTextOptions, setTreeTextOptions] = useState(() => ({
+    ...DEFAULT_TREE_TEXT_OPTIONS,
+    ...readStorage("treeTextOptions", {}),
+  }));
+  const [mermaidOptions, setMermaidOptions] = useState(() => ({
+    ...DEFAULT_MERMAID_OPTIONS,
+    ...readStorage("mermaidOptions", {}),
+  }));
+  const [mermaidPreviewOpen, setMermaidPreviewOpen] = useState(false);
+  const [diagramPreviewOpen, setDiagramPreviewOpen] = useState(false);
+  const [mermaidPreview, setMermaidPreview] = useState({ svg: "", error: "" });
+  const [diagramLayout, setDiagramLayout] = useState(() => {
+    const stored = readStorage("diagramLayout");
+    return DIAGRAM_LAYOUTS[stored] ? stored : DEFAULT_DIAGRAM_LAYOUT;
+  });
+
+  // In the shared view only folder open/closed state changes, and never reaches history.
+  // With auto-sort on, every change to the project comes out sorted; a change the sort
+  // undoes again (a manual reorder) keeps `prev`, so it leaves no empty undo step.
+  function setNodes(updater, opts) {
+    if (!readOnly) {
+      if (!sortRule.auto) setProjectNodes(updater, opts);
+      else {
+        setProjectNodes((prev) => {
+          const next = sortChildren(typeof updater === "function" ? updater(prev) : updater, sortRule);
+          return sameNodes(prev, next) ? prev : next;
+        }, opts);
+      }
+      return;
+    }
+    setShared((prev) =>
+      prev?.status === "ready"
+        ? { ...prev, nodes: typeof updater === "function" ? updater(prev.nodes) : updater }
+        : prev
+    );
+  }
 
+  // selectedId is the primary item (rename/description); selectedIds is the whole selection
   const [selectedId, setSelectedId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selectionAnchorRef = useRef(null); // where Shift-click ranges start
   const [renameValue, setRenameValue] = useState("");
 
   const [addKind, setAddKind] = useState("folder");
   const [addName, setAddName] = useState("");
+  const [pathList, setPathList] = useState("");
+  const [pathListReport, setPathListReport] = useState("");
   const [addParent, setAddParent] = useState(ROOT_ID);
 
   const [search, setSearch] = useState("");
-  const [templateKey, setTemplateKey] = useState("React app");
+  const [searchMode, setSearchMode] = useState("text");
+  const [filterMatches, setFilterMatches] = useState(false);
+  // Folders the filter keeps open that were collapsed by hand; cleared whenever the search changes.
+  const [filterCollapsed, setFilterCollapsed] = useState(() => new Set());
+  const [userTemplates, setUserTemplates] = useState(loadUserTemplates);
+  const [templateKey, setTemplateKey] = useState(BUILTIN_TEMPLATES[0].id);
+  const [templateName, setTemplateName] = useState("");
+  const [templateCategory, setTemplateCategory] = useState("");
+  const [wizard, setWizard] = useState(null); // {template, params, values, mode: "apply"|"merge"}
+  const [mergeTarget, setMergeTarget] = useState(ROOT_ID);
+  const [mergeStrategy, setMergeStrategy] = useState("merge");
+  const [mergeContentsOnly, setMergeContentsOnly] = useState(false);
+  const [mergeTemplateKey, setMergeTemplateKey] = useState(BUILTIN_TEMPLATES[0].id);
+  const [mergeReport, setMergeReport] = useState("");
+  const [pasteText, setPasteText] = useState("");
+
+  const [ignoreText, setIgnoreText] = useState(DEFAULT_IGNORES);
+  const [honorGitignore, setHonorGitignore] = useState(true);
+  const [maxDepth, setMaxDepth] = useState(8);
+  const folderInputRef = useRef(null);
 
-  const treeWrapRef = useRef(null);
   const scrollRefMap = useRef({}); // id -> element
 
   // context menu state
@@ -543,7 +776,13 @@ export default function App() {
     targetId: null,
   });
 
-  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 6 } }));
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 6 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  );
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [clipboard, setClipboard] = useState(null); // nested items from the last copy/cut
+  const renameInputRef = useRef(null);
   const [draggingId, setDraggingId] = useState(null);
 
   const folderIds = useMemo(() => {
@@ -555,6 +794,100 @@ export default function App() {
     if (!nodes[addParent] || nodes[addParent].kind !== "folder") setAddParent(ROOT_ID);
   }, [addParent, nodes]);
 
+  useEffect(() => {
+    if (!nodes[mergeTarget] || nodes[mergeTarget].kind !== "folder") setMergeTarget(ROOT_ID);
+  }, [mergeTarget, nodes]);
+
+  // Autosave the open project shortly after the last change
+  useEffect(() => {
+    const t = setTimeout(() => saveProject(projectId, projectNodes), 300);
+    return () => clearTimeout(t);
+  }, [projectNodes, projectId]);
+
+  // Open share links on load and when the hash changes
+  useEffect(() => {
+    let cancelled = false;
+    async function syncFromHash() {
+      const payload = shareHashPayload();
+      if (payload === null) {
+        setShared(null);
+        return;
+      }
+      setShared({ status: "loading" });
+      try {
+        const nested = await decodeShare(payload);
+        if (!cancelled) setShared({ status: "ready", nodes: buildFromNested(nested) });
+      } catch (err) {
+        if (!cancelled) setShared({ status: "error", error: err.message });
+      }
+    }
+    syncFromHash();
+    window.addEventListener("hashchange", syncFromHash);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("hashchange", syncFromHash);
+    };
+  }, []);
+
+  useEffect(() => {
+    writeStorage("projects", projects);
+  }, [projects]);
+
+  useEffect(() => {
+    writeStorage("activeProject", projectId);
+  }, [projectId]);
+
+  useEffect(() => {
+    writeStorage("sort", sortRule);
+  }, [sortRule]);
+
+  useEffect(() => {
+    writeStorage("iconTheme", iconTheme);
+  }, [iconTheme]);
+
+  useEffect(() => {
+    writeStorage("diagramLayout", diagramLayout);
+  }, [diagramLayout]);
+
+  useEffect(() => {
+    writeStorage("mermaidOptions", mermaidOptions);
+  }, [mermaidOptions]);
+
+  useEffect(() => {
+    writeStorage("treeTextOptions", treeTextOptions);
+  }, [treeTextOptions]);
+
+  // Drop the selection when undo/redo removes the selected nodes
+  useEffect(() => {
+    if (selectedId && !nodes[selectedId]) {
+      setSelectedId(null);
+      setRenameValue("");
+    }
+    if (selectedIds.some((id) => !nodes[id])) {
+      setSelectedIds((ids) => ids.filter((id) => nodes[id]));
+    }
+  }, [nodes, selectedId, selectedIds]);
+
+  const selectedSet = useMemo(() => new Set(selectedIds), [selectedIds]);
+
+  // Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl+Y = redo (text fields keep their native undo)
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTextEditingTarget(e.target) || readOnly) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [undo, redo, readOnly]);
+
   // Close context menu on click outside
   useEffect(() => {
     function onDocClick() {
@@ -564,29 +897,76 @@ export default function App() {
     return () => window.removeEventListener("click", onDocClick);
   }, []);
 
-  function onSelect(id) {
-    setSelectedId(id);
-    setRenameValue(nodes[id]?.name || "");
+  // Plain click selects one row, Ctrl/Cmd-click toggles, Shift-click selects a visible range.
+  // The root can only be selected on its own.
+  function onSelect(id, e) {
+    const anchor = selectionAnchorRef.current;
+    let next = [id];
+
+    if (e?.shiftKey && id !== ROOT_ID && anchor && nodes[anchor]) {
+      const from = visibleIds.indexOf(anchor);
+      const to = visibleIds.indexOf(id);
+      if (from >= 0 && to >= 0) {
+        next = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1).filter((x) => x !== ROOT_ID);
+      }
+    } else if ((e?.ctrlKey || e?.metaKey) && id !== ROOT_ID) {
+      const rest = selectedIds.filter((x) => x !== ROOT_ID && x !== id);
+      next = selectedIds.includes(id) ? rest : [...rest, id];
+      selectionAnchorRef.current = id;
+    } else {
+      selectionAnchorRef.current = id;
+    }
+
+    const primary = next.includes(id) ? id : next[next.length - 1] ?? null;
+    setSelectedIds(next);
+    setSelectedId(primary);
+    setRenameValue(nodes[primary]?.name || "");
+  }
+
+  function clearSelection() {
+    setSelectedId(null);
+    setSelectedIds([]);
+    setRenameValue("");
+  }
+
+  // The ids an action on `id` should apply to: the whole selection when `id` is part of it.
+  function actionTargets(id) {
+    return selectedSet.has(id) ? selectedIds : [id];
   }
 
   function toggleFolder(id) {
-    setNodes((prev) => {
-      const copy = clone(prev);
-      if (copy[id]?.kind === "folder") copy[id].isOpen = !copy[id].isOpen;
-      return copy;
-    });
+    // a folder the filter opened toggles on its own, leaving its saved open state alone
+    if (filter?.open.has(id)) {
+      setFilterCollapsed((prev) => {
+        const next = new Set(prev);
+        if (!next.delete(id)) next.add(id);
+        return next;
+      });
+      return;
+    }
+    setNodes(
+      (prev) => {
+        const copy = clone(prev);
+        if (copy[id]?.kind === "folder") copy[id].isOpen = !copy[id].isOpen;
+        return copy;
+      },
+      { record: false }
+    );
   }
 
+  // Returns the new node's id (or null when nothing was added).
   function addItem(kind, name, parentId) {
     const nm = (name || "").trim();
-    if (!nm) return;
+    const pid = parentId || ROOT_ID;
+    if (!nm || nodes[pid]?.kind !== "folder") return null;
+    if (nm.includes("/")) return addPathItem(kind, nm, pid);
+    if (!acceptName(nm, pid)) return null;
 
+    const id = uid();
     setNodes((prev) => {
       const copy = clone(prev);
-      const pid = parentId || ROOT_ID;
       if (!copy[pid] || copy[pid].kind !== "folder") return prev;
 
-      const id = uid();
       if (kind === "folder") {
         copy[id] = { id, kind: "folder", name: nm, parent: pid, children: [], isOpen: true };
       } else {
@@ -598,20 +978,73 @@ export default function App() {
     });
 
     setAddName("");
+    return id;
   }
 
-  function deleteTarget(id) {
-    setNodes((prev) => removeSubtree(prev, id));
-    if (selectedId === id) {
-      setSelectedId(null);
-      setRenameValue("");
+  // Shortcut and context-menu adds: the default name, made unique among the parent’s children.
+  function addDefaultItem(kind, parentId) {
+    const taken = new Set(nodes[parentId].children.map((cid) => nodes[cid].name));
+    return addItem(kind, uniqueName(kind === "folder" ? "New Folder" : "new-file.txt", kind, taken), parentId);
+  }
+
+  // "src/components/Button/index.tsx": missing folders are created, a trailing "/" makes the last part a folder.
+  function addPathItem(kind, path, parentId) {
+    const parts = splitPath(path);
+    if (!parts.length || !parts.every((part) => acceptName(part))) return null;
+    const { nodes: next, ids, added, clashes } = addPaths(nodes, parentId, [
+      { path, kind: path.endsWith("/") ? "folder" : kind },
+    ]);
+    if (clashes.length) {
+      const { name, kind: existing } = clashes[0];
+      alert(`“${path}” can’t be added: “${name}” already exists there as a ${existing}.`);
+      return null;
+    }
+    // an existing path adds nothing, so no undo step either
+    if (added) setNodes(next);
+    setAddName("");
+    return ids[0];
+  }
+
+  function addPathList() {
+    const entries = parsePathList(pathList);
+    if (!entries.length) {
+      alert("Nothing to add: paste one path per line first.");
+      return;
     }
+    // paths with an unusable part are left out rather than failing the whole list
+    const usable = entries.filter((e) => splitPath(e.path).every((part) => !checkName(part).some((p) => p.level === "error")));
+    const { nodes: next, added, clashes } = addPaths(nodes, addParent, usable);
+    if (added) setNodes(next);
+    const skipped = entries.length - usable.length;
+    const plural = (n, what) => `${n} ${what}${n === 1 ? "" : "s"}`;
+    setPathListReport(
+      `Added ${plural(added, "item")}` +
+        (skipped ? `, skipped ${plural(skipped, "unusable path")}` : "") +
+        (clashes.length ? `, skipped ${plural(clashes.length, "path")} where a file and a folder would share a name` : "")
+    );
+    setPathList("");
+  }
+
+  function deleteTargets(ids) {
+    const doomed = ids.filter((id) => id !== ROOT_ID);
+    if (!doomed.length) return;
+    setNodes((prev) => removeSubtrees(prev, doomed));
+    if (doomed.some((id) => selectedSet.has(id))) clearSelection();
+  }
+
+  // Names no file system can hold are refused; everything else is only flagged.
+  // With a parentId, an exact duplicate among its children (other than exceptId) is refused too.
+  function acceptName(name, parentId = null, exceptId = null) {
+    const problems = parentId ? draftNameProblems(nodes, name, parentId, exceptId) : checkName(name);
+    const invalid = problems.find((p) => p.level === "error");
+    if (invalid) alert(`“${name}” can’t be used as a name. ${invalid.message}.`);
+    return !invalid;
   }
 
   function saveRename() {
     if (!selectedId) return;
     const nm = renameValue.trim();
-    if (!nm) return;
+    if (!nm || !acceptName(nm, nodes[selectedId]?.parent, selectedId)) return;
     setNodes((prev) => {
       const copy = clone(prev);
       if (!copy[selectedId]) return prev;
@@ -620,143 +1053,554 @@ export default function App() {
     });
   }
 
+  function setDescription(id, text) {
+    const description = text.replace(/\s*\n\s*/g, " ");
+    setNodes(
+      (prev) => {
+        if (!prev[id]) return prev;
+        const copy = clone(prev);
+        if (description) copy[id].description = description;
+        else delete copy[id].description;
+        return copy;
+      },
+      { coalesce: `description:${id}` }
+    );
+  }
+
   function moveSelectedTo(parentId) {
-    if (!selectedId) return;
     if (!nodes[parentId] || nodes[parentId].kind !== "folder") return;
-    const sel = nodes[selectedId];
+    if (!topLevelIds(nodes, selectedIds).length) return;
+    setNodes((prev) => moveNodes(prev, selectedIds, parentId, "into"));
+  }
+
+  // -------- Sorting --------
+  function sortFolder(id, { recursive = false } = {}) {
+    setNodes((prev) => sortChildren(prev, sortRule, recursive ? folderIdsUnder(prev, id) : [id]));
+  }
+
+  // Turning auto-sort on (or changing the rule while it is on) sorts the tree right away.
+  function updateSortRule(patch) {
+    const next = { ...sortRule, ...patch };
+    setSortRule(next);
+    if (next.auto && !readOnly) setProjectNodes((prev) => sortChildren(prev, next));
+  }
+
+  // -------- Clipboard --------
+  // Select freshly created nodes (not yet in `nodes`) and focus the first one.
+  function selectCreated(ids, next) {
+    if (!ids.length) return;
+    selectionAnchorRef.current = ids[0];
+    setSelectedIds(ids);
+    setSelectedId(ids[0]);
+    setRenameValue(next[ids[0]]?.name || "");
+    setTimeout(() => scrollRefMap.current[ids[0]]?.focus(), 0);
+  }
+
+  function copyTargets(ids, { cut = false } = {}) {
+    const payload = clipboardPayload(nodes, cut ? ids.filter((id) => id !== ROOT_ID) : ids);
+    if (!payload.items.length) return;
+    setClipboard(payload.items);
+    writeSystemClipboard(payload);
+    if (cut) deleteTargets(ids);
+  }
 
-    if (sel.kind === "folder") {
-      if (parentId === selectedId) return;
-      if (isDescendant(nodes, parentId, selectedId)) return;
+  function pasteInto(targetId, items) {
+    if (readOnly || !items?.length || !nodes[targetId]) return;
+    try {
+      const { nodes: next, ids } = pasteItems(nodes, items, targetId);
+      setNodes(next);
+      selectCreated(ids, next);
+    } catch (err) {
+      alert("Paste failed: " + (err?.message || err));
     }
+  }
 
-    setNodes((prev) => {
-      const copy = clone(prev);
-      const oldParentId = copy[selectedId].parent;
-      if (oldParentId && copy[oldParentId]?.kind === "folder") {
-        copy[oldParentId].children = copy[oldParentId].children.filter((cid) => cid !== selectedId);
-      }
-      copy[selectedId].parent = parentId;
-      copy[parentId].children.push(selectedId);
-      copy[parentId].isOpen = true;
-      return copy;
-    });
+  function duplicateTargets(ids) {
+    const { nodes: next, ids: created } = duplicateNodes(nodes, ids);
+    if (!created.length) return;
+    setNodes(next);
+    selectCreated(created, next);
+  }
+
+  // Ctrl/Cmd+V on a row; the system clipboard wins so copies from other tabs paste too
+  function onTreePaste(e) {
+    const id = e.target.dataset?.id;
+    if (readOnly || !nodes[id]) return;
+    e.preventDefault();
+    const text = e.clipboardData?.getData(CLIPBOARD_JSON_TYPE) || e.clipboardData?.getData("text/plain");
+    const items = text ? parseClipboardItems(text) : clipboard;
+    if (!items?.length) {
+      alert("Nothing to paste: the clipboard holds no folder structure.");
+      return;
+    }
+    pasteInto(id, items);
+  }
+
+  // -------- Search --------
+  const compiledSearch = useMemo(() => compileSearch(search, searchMode), [search, searchMode]);
+  const matches = useMemo(
+    () => (compiledSearch?.regex ? searchMatches(nodes, ROOT_ID, compiledSearch) : []),
+    [nodes, compiledSearch]
+  );
+  const matchSet = useMemo(() => new Set(matches), [matches]);
+  const filter = useMemo(
+    () => (filterMatches && compiledSearch?.regex ? searchFilter(nodes, matches, filterCollapsed) : null),
+    [nodes, matches, filterMatches, compiledSearch, filterCollapsed]
+  );
+
+  // Reveal the next (dir 1) or previous (dir -1) match after the selection, in row order; wraps around.
+  function stepMatch(dir) {
+    if (!matches.length) return;
+    const rank = new Map();
+    (function walk(id) {
+      rank.set(id, rank.size);
+      (nodes[id].children || []).forEach(walk);
+    })(ROOT_ID);
+
+    const at = rank.has(selectedId) ? rank.get(selectedId) : -1;
+    const next =
+      dir > 0
+        ? matches.find((id) => rank.get(id) > at) ?? matches[0]
+        : matches.findLast((id) => rank.get(id) < at) ?? matches[matches.length - 1];
+    revealNode(next);
+  }
+
+  function searchStatus() {
+    if (compiledSearch?.error) return "Invalid regex";
+    if (!compiledSearch) return "";
+    const at = matches.indexOf(selectedId);
+    if (at >= 0) return `${at + 1} / ${matches.length}`;
+    return matches.length === 1 ? "1 match" : `${matches.length} matches`;
+  }
+
+  // -------- Keyboard navigation --------
+  const visibleIds = useMemo(() => visibleOrder(nodes, ROOT_ID, filter), [nodes, filter]);
+  const tabStopId = selectedId && visibleIds.includes(selectedId) ? selectedId : ROOT_ID;
+
+  // Select a row and move keyboard focus to it once it has rendered.
+  function focusRow(id, e) {
+    if (!id) return;
+    onSelect(id, e);
+    setTimeout(() => scrollRefMap.current[id]?.focus(), 0);
+  }
+
+  function startRename(id) {
+    onSelect(id);
+    setTimeout(() => {
+      renameInputRef.current?.focus();
+      renameInputRef.current?.select();
+    }, 0);
+  }
+
+  function moveAmongSiblings(id, delta) {
+    const parentId = nodes[id]?.parent;
+    if (!parentId) return;
+    const order = nodes[parentId].children;
+    const from = order.indexOf(id);
+    const to = from + delta;
+    if (to < 0 || to >= order.length) return;
+    setNodes((prev) => setChildrenOrder(prev, parentId, arrayMove(prev[parentId].children, from, to)));
+    focusRow(id);
+  }
+
+  function onTreeKeyDown(e) {
+    // only rows; drag handles run dnd-kit's keyboard sensor
+    const id = e.target.dataset.id;
+    const n = nodes[id];
+    if (e.target.getAttribute("role") !== "treeitem" || !n || draggingId) return;
+    const idx = visibleIds.indexOf(id);
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const copying = mod && !e.altKey && key === "c";
+    if (readOnly && !copying && (mod || e.altKey || !READ_ONLY_KEYS.includes(e.key))) return;
+    let handled = true;
+
+    if (e.altKey && key === "ArrowUp") moveAmongSiblings(id, -1);
+    else if (e.altKey && key === "ArrowDown") moveAmongSiblings(id, 1);
+    else if (key === "n" && (mod || e.altKey)) {
+      const parentId = n.kind === "folder" ? id : n.parent || ROOT_ID;
+      const newId = e.shiftKey
+        ? addDefaultItem("folder", parentId)
+        : addDefaultItem("file", parentId);
+      if (newId) startRename(newId);
+    } else if (copying) copyTargets(actionTargets(id));
+    else if (mod && key === "x" && id !== ROOT_ID) removeFromRow(id, { cut: true });
+    else if (mod && key === "d") duplicateTargets(actionTargets(id));
+    else if (mod || e.altKey) handled = false;
+    else if (key === "ArrowDown") focusRow(visibleIds[idx + 1], e);
+    else if (key === "ArrowUp") focusRow(visibleIds[idx - 1], e);
+    else if (key === "Home") focusRow(visibleIds[0], e);
+    else if (key === "End") focusRow(visibleIds[visibleIds.length - 1], e);
+    else if (key === "ArrowRight") {
+      if (n.kind === "folder" && !isExpanded(n, filter)) toggleFolder(id);
+      else if (n.kind === "folder") focusRow(shownChildren(n, filter)[0]);
+    } else if (key === "ArrowLeft") {
+      if (isExpanded(n, filter)) toggleFolder(id);
+      else focusRow(n.parent);
+    } else if (key === "Enter") {
+      if (n.kind === "folder") toggleFolder(id);
+    } else if (key === "F2") startRename(id);
+    else if (key === "Delete" && id !== ROOT_ID) removeFromRow(id);
+    else handled = false;
+
+    if (handled) e.preventDefault();
+  }
+
+  // Delete (or cut) a row's targets and keep focus on a neighbour.
+  function removeFromRow(id, { cut = false } = {}) {
+    const targets = actionTargets(id);
+    const siblings = nodes[nodes[id].parent].children.filter((cid) => cid === id || !targets.includes(cid));
+    const at = siblings.indexOf(id);
+    const next = siblings[at + 1] || siblings[at - 1] || nodes[id].parent;
+    if (cut) copyTargets(targets, { cut: true });
+    else deleteTargets(targets);
+    focusRow(next);
   }
 
+  // "?" opens the shortcut list from anywhere outside text fields; Esc closes it
+  useEffect(() => {
+    function onKey(e) {
+      if (e.key === "Escape") setShowShortcuts(false);
+      else if (e.key === "?" && !isTextEditingTarget(e.target)) setShowShortcuts((v) => !v);
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
   function openContextMenu(e, id) {
     e.preventDefault();
+    if (readOnly) return;
     setCtx({ open: true, x: e.clientX, y: e.clientY, targetId: id });
   }
 
-  function jumpToFirstMatch() {
-    const q = search.trim().toLowerCase();
-    if (!q) return;
-
-    const match = Object.values(nodes).find((n) => n.id !== ROOT_ID && n.name.toLowerCase().includes(q));
-    if (!match) return;
+  // Open every ancestor, then scroll to the node and select it.
+  function revealNode(id) {
+    if (!nodes[id]) return;
 
     // ensure all ancestors are opened
-    setNodes((prev) => {
-      const copy = clone(prev);
-      let cur = copy[match.id];
-      while (cur?.parent) {
-        const p = copy[cur.parent];
-        if (p?.kind === "folder") p.isOpen = true;
-        cur = p;
-      }
-      return copy;
-    });
+    setNodes(
+      (prev) => {
+        const copy = clone(prev);
+        let cur = copy[id];
+        while (cur?.parent) {
+          const p = copy[cur.parent];
+          if (p?.kind === "folder") p.isOpen = true;
+          cur = p;
+        }
+        return copy;
+      },
+      { record: false }
+    );
+    setFilterCollapsed(new Set());
 
     // scroll after open
     setTimeout(() => {
-      const el = scrollRefMap.current[match.id];
+      const el = scrollRefMap.current[id];
       el?.scrollIntoView({ behavior: "smooth", block: "center" });
-      onSelect(match.id);
+      onSelect(id);
     }, 80);
   }
 
-  function applyTemplate(key) {
-    const t = TEMPLATES[key];
-    if (!t) return;
-    const built = buildFromNested(t);
-    setNodes(built);
-    setSelectedId(null);
-    setRenameValue("");
+  // Swap in a whole new tree and clear everything that pointed into the old one.
+  // Pass {keepHistory:false} when the old tree's undo steps no longer apply.
+  function replaceTree(next, { keepHistory = true } = {}) {
+    if (keepHistory) setNodes(next);
+    else resetNodes(sortRule.auto ? sortChildren(next, sortRule) : next);
+    clearSelection();
     setAddParent(ROOT_ID);
     setSearch("");
+    setFilterCollapsed(new Set());
   }
 
-  // ------- Drag & Drop Handlers -------
-  function onDragStart(event) {
-    setDraggingId(event.active?.id || null);
+  // -------- Projects --------
+  function saveProject(id, tree) {
+    const serialized = JSON.stringify(tree);
+    if (lastSavedRef.current === serialized) return;
+    const ok = writeStorage(`project:${id}`, tree);
+    setSaveFailed(!ok);
+    if (!ok) return;
+    const first = lastSavedRef.current === null;
+    lastSavedRef.current = serialized;
+    // the first save after loading only records the baseline
+    if (!first) setProjects((prev) => prev.map((p) => (p.id === id ? { ...p, updatedAt: Date.now() } : p)));
   }
 
-  function onDragEnd(event) {
-    const { active, over } = event;
-    setDraggingId(null);
+  function openProject(id, tree) {
+    lastSavedRef.current = JSON.stringify(tree);
+    setProjectId(id);
+    replaceTree(tree, { keepHistory: false });
+  }
 
-    if (!active?.id || !over?.id) return;
-    const activeId = active.id;
-    const overId = over.id;
+  function switchProject(id) {
+    if (id === projectId) return;
+    saveProject(projectId, projectNodes);
+    openProject(id, loadProjectNodes(id));
+  }
 
-    if (activeId === overId) return;
+  function createProject(name, tree) {
+    saveProject(projectId, projectNodes);
+    const id = uid();
+    writeStorage(`project:${id}`, tree);
+    setProjects((prev) => [...prev, { id, name, updatedAt: Date.now() }]);
+    openProject(id, tree);
+  }
 
-    const activeNode = nodes[activeId];
-    const overNode = nodes[overId];
-    if (!activeNode || !overNode) return;
+  function newProject() {
+    createProject(`Untitled ${projects.length + 1}`, defaultState());
+  }
 
-    // 1) Reorder within same parent if both in same folder children list
-    const aParent = activeNode.parent || ROOT_ID;
-    const oParent = overNode.parent || ROOT_ID;
+  function duplicateProject() {
+    const current = projects.find((p) => p.id === projectId);
+    createProject(`${current?.name || "Project"} copy`, clone(projectNodes));
+  }
 
-    // If over is a folder header, we treat drop as "into" folder
-    // We detect folder drop by holding Alt? No — use Shift to drop as sibling.
-    // Default:
-    // - Dropping on folder => into folder
-    // - Dropping on item => reorder as sibling under that item’s parent
-    // You can force "into" by dropping on folder row; force "sibling" by holding Shift.
-    const shift = window.__folderviz_shiftKeyDown === true;
+  function renameProject(name) {
+    setProjects((prev) => prev.map((p) => (p.id === projectId ? { ...p, name } : p)));
+  }
 
-    if (overNode.kind === "folder" && !shift) {
-      setNodes((prev) => moveNode(prev, activeId, overId, "into"));
-      return;
-    }
+  function deleteProject() {
+    const current = projects.find((p) => p.id === projectId);
+    if (!window.confirm(`Delete project "${current?.name}"? This cannot be undone.`)) return;
 
-    // sibling reorder/move to over’s parent
-    // remove from active parent then insert around over
-    setNodes((prev) => {
-      const copy = clone(prev);
+    removeStorage(`project:${projectId}`);
+    const rest = projects.filter((p) => p.id !== projectId);
+    if (!rest.length) rest.push({ id: uid(), name: "My project", updatedAt: Date.now() });
+    const next = rest.reduce((a, b) => ((b.updatedAt || 0) > (a.updatedAt || 0) ? b : a));
+    setProjects(rest);
+    openProject(next.id, loadProjectNodes(next.id));
+  }
+
+  // -------- Share links --------
+  async function copyShareLink() {
+    try {
+      const payload = await encodeShare(toNested(nodes, ROOT_ID));
+      if (payload.length > SHARE_MAX_LINK) {
+        alert("This structure is too large for a share link. Export JSON instead.");
+        return;
+      }
+      const url = `${window.location.origin}${window.location.pathname}#${SHARE_PARAM}${payload}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        setShareCopied(true);
+        setTimeout(() => setShareCopied(false), 2000);
+      } catch {
+        window.prompt("Copy this link:", url);
+      }
+    } catch (err) {
+      alert("Could not create a share link: " + err.message);
+    }
+  }
+
+  function closeSharedView() {
+    clearShareHash();
+    setShared(null);
+  }
+
+  function editSharedCopy() {
+    const tree = clone(shared.nodes);
+    closeSharedView();
+    createProject(tree[ROOT_ID].name || "Shared structure", tree);
+  }
 
-      // If same parent, use arrayMove for stable reorder
-      const ap = copy[aParent];
-      const op = copy[oParent];
-      if (!ap || !op || ap.kind !== "folder" || op.kind !== "folder") return prev;
+  // -------- Merge import --------
+  // `nested` is a whole imported tree; its top folder is dropped with "contents only".
+  function mergeIntoFolder(nested, source) {
+    const items = mergeContentsOnly ? nested.children || [] : [nested];
+    const { nodes: next, ids, counts } = mergeItems(nodes, items, mergeTarget, mergeStrategy);
+    setNodes(next);
+    selectCreated(ids, next);
+    setMergeReport(`${source} → ${nodes[mergeTarget].name}: ${diffSummary(counts)}`);
+  }
+
+  function mergeTemplate() {
+    startTemplate(findTemplate(mergeTemplateKey) || BUILTIN_TEMPLATES[0], "merge");
+  }
 
-      // prevent illegal move into descendant via sibling move
-      if (activeNode.kind === "folder") {
-        if (isDescendant(copy, oParent, activeId)) return prev;
+  function mergeStructureFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const ext = file.name.split(".").pop().toLowerCase();
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        mergeIntoFolder(toNested(structureFromText(String(reader.result), ext), ROOT_ID), file.name);
+      } catch (err) {
+        alert("Import failed: " + (err?.message || err));
+      } finally {
+        e.target.value = "";
       }
+    };
+    reader.readAsText(file);
+  }
+
+  function applyTemplate(key) {
+    const t = findTemplate(key);
+    if (t) startTemplate(t, "apply");
+  }
+
+  // Templates with params ask for their values in the wizard first.
+  function startTemplate(t, mode) {
+    try {
+      const params = templateParams(t.tree);
+      if (params.length) setWizard({ template: t, params, values: {}, mode });
+      else finishTemplate(t, mode, {});
+    } catch (err) {
+      alert(`Template "${t.name}" failed: ` + (err?.message || err));
+    }
+  }
 
-      // remove from old
-      ap.children = ap.children.filter((cid) => cid !== activeId);
-
-      // insert in new parent around over index
-      const idx = op.children.indexOf(overId);
-      const insertAt = Math.max(0, idx); // place before over
-      copy[activeId].parent = oParent;
-      op.children.splice(insertAt, 0, activeId);
-      op.isOpen = true;
-
-      // If same parent, just reorder using arrayMove for better behavior
-      if (aParent === oParent) {
-        const order = op.children;
-        const from = order.indexOf(activeId);
-        const to = insertAt;
-        op.children = arrayMove(order, from, to);
+  function finishTemplate(t, mode, values) {
+    const nested = instantiateTemplate(t.tree, values);
+    if (mode === "merge") mergeIntoFolder(nested, t.name);
+    else replaceTree(buildFromNested(nested));
+  }
+
+  function setWizardValue(key, value) {
+    setWizard((w) => ({ ...w, values: { ...w.values, [key]: value } }));
+  }
+
+  function generateFromWizard() {
+    const values = resolveParamValues(wizard.params, wizard.values);
+    const missing = wizard.params.find((p) => p.type !== "boolean" && !String(values[p.key]).trim());
+    if (missing) {
+      alert(`Fill in “${missing.label || missing.key}” first.`);
+      return;
+    }
+    try {
+      // values end up in names, so they get the same check as a typed-in name
+      const invalid = nestedNameError(instantiateTemplate(wizard.template.tree, values));
+      if (invalid) {
+        alert(`“${invalid.name}” can’t be used as a name. ${invalid.message}.`);
+        return;
       }
+      finishTemplate(wizard.template, wizard.mode, values);
+      setWizard(null);
+    } catch (err) {
+      alert(`Template "${wizard.template.name}" failed: ` + (err?.message || err));
+    }
+  }
 
-      return copy;
-    });
+  // -------- Template library --------
+  const templates = useMemo(() => [...BUILTIN_TEMPLATES, ...userTemplates], [userTemplates]);
+  const activeTemplate = templates.find((t) => t.id === templateKey) || BUILTIN_TEMPLATES[0];
+
+  function findTemplate(id) {
+    return templates.find((t) => t.id === id);
+  }
+
+  useEffect(() => {
+    writeStorage("templates", userTemplates);
+  }, [userTemplates]);
+
+  function pickTemplate(id) {
+    const t = findTemplate(id);
+    setTemplateKey(id);
+    if (t && !t.builtIn) {
+      setTemplateName(t.name);
+      setTemplateCategory(t.category);
+    }
+  }
+
+  // Saves a subtree under the name in the form; the same name in the same category is replaced.
+  function saveTemplate(rootId) {
+    const name = templateName.trim();
+    const category = templateCategory.trim();
+    if (!name) {
+      alert("Give the template a name first.");
+      return;
+    }
+    const existing = userTemplates.find((t) => t.name === name && t.category === category);
+    if (existing && !window.confirm(`Replace the template "${name}"?`)) return;
+
+    const entry = { id: existing?.id || uid(), name, category, tree: toNested(nodes, rootId), updatedAt: Date.now() };
+    setUserTemplates((prev) => (existing ? prev.map((t) => (t.id === existing.id ? entry : t)) : [...prev, entry]));
+    setTemplateKey(entry.id);
+  }
+
+  function updateTemplateInfo() {
+    const name = templateName.trim();
+    if (activeTemplate.builtIn || !name) return;
+    setUserTemplates((prev) =>
+      prev.map((t) => (t.id === activeTemplate.id ? { ...t, name, category: templateCategory.trim(), updatedAt: Date.now() } : t))
+    );
+  }
+
+  function deleteTemplate() {
+    if (activeTemplate.builtIn) return;
+    if (!window.confirm(`Delete the template "${activeTemplate.name}"?`)) return;
+    setUserTemplates((prev) => prev.filter((t) => t.id !== activeTemplate.id));
+    setTemplateKey(BUILTIN_TEMPLATES[0].id);
+  }
+
+  function exportTemplatePack() {
+    downloadText("templates.json", JSON.stringify(templatePack(userTemplates), null, 2), "application/json");
+  }
+
+  function importTemplatePack(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { templates: incoming, problems } = parseTemplatePack(String(reader.result));
+        setUserTemplates((prev) => {
+          // same name in the same category: keep both, the imported one as "… copy"
+          const next = [...prev];
+          incoming.forEach((t) => {
+            const taken = new Set(next.filter((x) => x.category === t.category).map((x) => x.name));
+            next.push({ ...t, name: uniqueName(t.name, "folder", taken) });
+          });
+          return next;
+        });
+        setTemplateKey(incoming[0].id);
+        if (problems.length) {
+          alert(
+            `Imported ${incoming.length} template${incoming.length === 1 ? "" : "s"}; some parts were left out:\n` +
+              problems.slice(0, 20).join("\n")
+          );
+        }
+      } catch (err) {
+        alert("Template import failed: " + (err?.message || err));
+      } finally {
+        e.target.value = "";
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  // ------- Drag & Drop Handlers -------
+  function onDragStart(event) {
+    setDraggingId(event.active?.id || null);
+  }
+
+  function onDragEnd(event) {
+    const { active, over } = event;
+    setDraggingId(null);
+
+    if (!active?.id || !over?.id) return;
+    const activeId = active.id;
+    const overId = over.id;
+
+    if (activeId === overId) return;
+
+    const activeNode = nodes[activeId];
+    const overNode = nodes[overId];
+    if (!activeNode || !overNode) return;
+
+    // Dragging a selected row carries the whole selection along
+    const moving = actionTargets(activeId);
+    if (moving.includes(overId)) return;
+
+    // Default:
+    // - Dropping on folder => into folder
+    // - Dropping on item => place before that item under its parent
+    // You can force "into" by dropping on folder row; force "sibling" by holding Shift.
+    const shift = window.__folderviz_shiftKeyDown === true;
+    const mode = overNode.kind === "folder" && !shift ? "into" : "before";
+    // Auto-sort decides the order inside a folder; only moves to another folder count
+    if (sortRule.auto && mode === "before" && moving.every((id) => nodes[id].parent === overNode.parent)) return;
+
+    setNodes((prev) => moveNodes(prev, moving, overId, mode));
   }
 
   // Keep track of Shift key to force sibling drop
@@ -777,29 +1621,52 @@ export default function App() {
   }, []);
 
   // -------- Export helpers --------
-  const treeText = useMemo(() => unicodeTree(nodes, ROOT_ID), [nodes]);
-  const mdText = useMemo(() => markdownTree(nodes, ROOT_ID), [nodes]);
-  const mmText = useMemo(() => mermaid(nodes, ROOT_ID), [nodes]);
+  const treeText = useMemo(() => unicodeTree(nodes, ROOT_ID, treeTextOptions), [nodes, treeTextOptions]);
+  const mdText = useMemo(() => markdownTree(nodes, ROOT_ID, { iconTheme }), [nodes, iconTheme]);
+  const mmText = useMemo(
+    () => mermaid(nodes, ROOT_ID, { iconTheme, ...mermaidOptions }),
+    [nodes, iconTheme, mermaidOptions]
+  );
+
+  // Rendered Mermaid preview; the library is only downloaded once the preview is opened
+  useEffect(() => {
+    if (!mermaidPreviewOpen) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { default: mermaidLib } = await import("mermaid");
+        mermaidLib.initialize({ startOnLoad: false, securityLevel: "strict", suppressErrorRendering: true });
+        const { svg } = await mermaidLib.render(`mermaid-preview-${++mermaidRenderCount}`, mmText);
+        if (!cancelled) setMermaidPreview({ svg, error: "" });
+      } catch (err) {
+        if (!cancelled) setMermaidPreview({ svg: "", error: err?.message || String(err) });
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [mermaidPreviewOpen, mmText]);
+  // Only laid out while the preview is open; the exports build their own on demand.
+  const diagramPreview = useMemo(
+    () => (diagramPreviewOpen ? svgDiagram(nodes, ROOT_ID, { layout: diagramLayout, iconTheme }) : null),
+    [diagramPreviewOpen, nodes, diagramLayout, iconTheme]
+  );
+
+  function currentDiagram() {
+    return diagramPreview || svgDiagram(nodes, ROOT_ID, { layout: diagramLayout, iconTheme });
+  }
 
   async function exportPng() {
-    if (!treeWrapRef.current) return;
-    const dataUrl = await htmlToImage.toPng(treeWrapRef.current, {
-      backgroundColor: "#ffffff",
-      pixelRatio: 2,
-    });
-    const res = await fetch(dataUrl);
-    const blob = await res.blob();
-    downloadBlob("folder-tree.png", blob);
+    try {
+      downloadBlob("folder-tree.png", await svgToPngBlob(currentDiagram()));
+    } catch (err) {
+      alert("PNG export failed: " + (err?.message || err));
+    }
   }
 
-  async function exportSvg() {
-    if (!treeWrapRef.current) return;
-    const dataUrl = await htmlToImage.toSvg(treeWrapRef.current, {
-      backgroundColor: "#ffffff",
-    });
-    const res = await fetch(dataUrl);
-    const blob = await res.blob();
-    downloadBlob("folder-tree.svg", blob);
+  function exportSvg() {
+    downloadText("folder-tree.svg", currentDiagram().svg, "image/svg+xml");
   }
 
   function exportJson() {
@@ -814,38 +1681,148 @@ export default function App() {
     downloadText("structure.md", md, "text/markdown");
   }
 
+  // -------- Compare --------
+  const diff = useMemo(
+    () => compare && (compare.swapped ? diffTrees(nodes, compare.nodes) : diffTrees(compare.nodes, nodes)),
+    [compare, nodes]
+  );
+  const diffLabels = compare && (compare.swapped ? ["current tree", compare.label] : [compare.label, "current tree"]);
+
+  function compareWithProject() {
+    const project = projects.find((p) => p.id === compareProjectId);
+    if (project) setCompare({ label: project.name, nodes: loadProjectNodes(project.id), swapped: false });
+  }
+
+  function compareWithFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const ext = file.name.split(".").pop().toLowerCase();
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setCompare({ label: file.name, nodes: structureFromText(String(reader.result), ext), swapped: false });
+      } catch (err) {
+        alert("Could not read " + file.name + ": " + (err?.message || err));
+      } finally {
+        e.target.value = "";
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  function compareWithText() {
+    const nested = parseTextTree(compareText);
+    if (!nested) {
+      alert("Nothing to compare: paste a tree first.");
+      return;
+    }
+    setCompare({ label: "pasted tree", nodes: buildFromNested(nested), swapped: false });
+  }
+
+  function exportDiffTxt() {
+    downloadText("structure-diff.txt", diffText(diff) + "\n", "text/plain");
+  }
+
+  function exportDiffMd() {
+    downloadText("structure-diff.md", diffMarkdown(diff, ...diffLabels), "text/markdown");
+  }
+
+  async function copyDiffMd() {
+    try {
+      await navigator.clipboard.writeText(diffMarkdown(diff, ...diffLabels));
+      setDiffCopied(true);
+      setTimeout(() => setDiffCopied(false), 2000);
+    } catch {
+      alert("Copy failed; download the Markdown instead.");
+    }
+  }
+
   function exportTreeTxt() {
     downloadText("tree.txt", treeText, "text/plain");
   }
 
-  function importJsonFile(e) {
+  function exportYaml() {
+    downloadText("structure.yaml", yamlTree(nodes, ROOT_ID), "application/yaml");
+  }
+
+  function exportOutline() {
+    downloadText("outline.txt", outlineText(nodes, ROOT_ID) + "\n", "text/plain");
+  }
+
+  // The generators refuse names that can't exist on disk; say which ones.
+  function exportScaffold(filename, build, mime) {
+    let script;
+    try {
+      script = build(nodes, ROOT_ID, scaffoldTarget);
+    } catch (err) {
+      alert("Scaffold script not created. " + err.message);
+      return;
+    }
+    downloadText(filename, script, mime);
+  }
+
+  function exportShellScript() {
+    exportScaffold("scaffold.sh", shellScript, "text/x-shellscript");
+  }
+
+  function exportPowershellScript() {
+    // BOM so Windows PowerShell 5.1 reads non-ASCII names as UTF-8
+    exportScaffold("scaffold.ps1", (...args) => "\uFEFF" + powershellScript(...args), "text/plain");
+  }
+
+  async function exportZip() {
+    setZipBusy(true);
+    try {
+      const blob = await buildTreeZip(nodes, ROOT_ID);
+      downloadBlob(`${nodes[ROOT_ID].name || "structure"}.zip`, blob);
+    } catch (err) {
+      alert("ZIP export failed: " + err.message);
+    } finally {
+      setZipBusy(false);
+    }
+  }
+
+  function exportNodeScript() {
+    exportScaffold("scaffold.mjs", nodeScript, "text/javascript");
+  }
+
+  function importStructureFile(e) {
     const file = e.target.files?.[0];
     if (!file) return;
+    const ext = file.name.split(".").pop().toLowerCase();
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const data = JSON.parse(String(reader.result));
+        const text = String(reader.result);
+
+        if (ext === "yaml" || ext === "yml") {
+          replaceTree(buildFromNested(yamlToNested(parseYaml(text))));
+          return;
+        }
+        // outline or tree.txt
+        if (ext === "txt") {
+          const nested = parseTextTree(text, { outline: true });
+          if (nested) replaceTree(buildFromNested(nested));
+          else alert("The file is empty.");
+          return;
+        }
+
+        const data = JSON.parse(text);
 
         // flat form
-        if (data?.nodes && data?.root_id) {
-          setNodes(data.nodes);
-          setSelectedId(null);
-          setRenameValue("");
-          setAddParent(ROOT_ID);
-          setSearch("");
+        if (data?.nodes && typeof data.nodes === "object") {
+          const { problems, nodes: repaired } = validateStructure(data);
+          if (problems.length) setImportReview({ fileName: file.name, problems, nodes: repaired });
+          else replaceTree(repaired);
         }
         // nested form
         else if (data && (data.kind === "folder" || !data.kind)) {
-          setNodes(buildFromNested(data));
-          setSelectedId(null);
-          setRenameValue("");
-          setAddParent(ROOT_ID);
-          setSearch("");
+          replaceTree(buildFromNested(data));
         } else {
           alert("Unrecognized JSON format.");
         }
       } catch (err) {
-        alert("Import failed: " + err);
+        alert("Import failed: " + (err?.message || err));
       } finally {
         e.target.value = "";
       }
@@ -853,34 +1830,96 @@ export default function App() {
     reader.readAsText(file);
   }
 
-  // -------- Folder dropdown for add/move --------
+  function folderImportOptions() {
+    return {
+      userRules: compileIgnoreRules(ignoreText),
+      honorGitignore,
+      maxDepth: Math.max(1, Number(maxDepth) || 1),
+    };
+  }
+
+  async function importFolder() {
+    // Browsers without the File System Access API fall back to <input webkitdirectory>.
+    if (!window.showDirectoryPicker) {
+      folderInputRef.current?.click();
+      return;
+    }
+    try {
+      const handle = await window.showDirectoryPicker();
+      const { rootName, entries } = await collectFromDirectoryHandle(handle, folderImportOptions());
+      replaceTree(buildFromPaths(rootName, entries));
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      alert("Folder import failed: " + err);
+    }
+  }
+
+  async function importFolderFiles(e) {
+    try {
+      const res = await collectFromFileList(e.target.files || [], folderImportOptions());
+      if (res) replaceTree(buildFromPaths(res.rootName, res.entries));
+    } catch (err) {
+      alert("Folder import failed: " + err);
+    } finally {
+      e.target.value = "";
+    }
+  }
+
+  function importTextTree() {
+    const nested = parseTextTree(pasteText);
+    if (!nested) {
+      alert("Nothing to import: paste a tree first.");
+      return;
+    }
+    replaceTree(buildFromNested(nested));
+    setPasteText("");
+  }
+
+  // -------- Name problems --------
+  const nameProblems = useMemo(() => findNameProblems(nodes), [nodes]);
+  const problemsById = useMemo(() => {
+    const map = {};
+    nameProblems.forEach((p) => (map[p.id] ||= []).push(p));
+    return map;
+  }, [nameProblems]);
+  const addNameProblems = !addName.trim()
+    ? []
+    : addName.includes("/")
+      ? draftPathProblems(addName.trim())
+      : draftNameProblems(nodes, addName.trim(), addParent);
+  const renameProblems =
+    selectedId && renameValue.trim() && renameValue.trim() !== nodes[selectedId]?.name
+      ? draftNameProblems(nodes, renameValue.trim(), nodes[selectedId]?.parent, selectedId)
+      : problemsById[selectedId] || [];
+
   const folderOptions = useMemo(() => {
     const arr = Object.values(nodes).filter((n) => n.kind === "folder");
     arr.sort((a, b) => (a.id === ROOT_ID ? -1 : b.id === ROOT_ID ? 1 : a.name.localeCompare(b.name)));
     return arr;
   }, [nodes]);
 
+  // Folders the whole selection may move into (not a selected folder or anything below one)
   const moveTargets = useMemo(() => {
-    if (!selectedId) return folderOptions;
-    const sel = nodes[selectedId];
-    return folderOptions.filter((f) => {
-      if (!sel) return true;
-      if (sel.kind === "file") return true;
-      if (f.id === selectedId) return false;
-      if (isDescendant(nodes, f.id, selectedId)) return false;
-      return true;
-    });
-  }, [folderOptions, nodes, selectedId]);
+    const folders = selectedIds.filter((id) => nodes[id]?.kind === "folder");
+    return folderOptions.filter(
+      (f) => !folders.some((id) => f.id === id || isDescendant(nodes, f.id, id))
+    );
+  }, [folderOptions, nodes, selectedIds]);
 
   // -------- Context menu actions --------
   const ctxTarget = ctx.targetId ? nodes[ctx.targetId] : null;
+  const ctxTargets = ctxTarget ? actionTargets(ctx.targetId) : [];
+  const canMoveSelectionHere =
+    ctxTarget?.kind === "folder" &&
+    !selectedSet.has(ctx.targetId) &&
+    topLevelIds(nodes, selectedIds).length > 0 &&
+    moveTargets.some((f) => f.id === ctx.targetId);
 
   function ctxAdd(kind) {
     if (!ctx.targetId) return;
     const target = nodes[ctx.targetId];
     const parentId = target.kind === "folder" ? target.id : target.parent || ROOT_ID;
-    const name = kind === "folder" ? "New Folder" : "new-file.txt";
-    addItem(kind, name, parentId);
+    addDefaultItem(kind, parentId);
     setCtx((p) => ({ ...p, open: false }));
   }
 
@@ -892,12 +1931,62 @@ export default function App() {
 
   function ctxDelete() {
     if (!ctx.targetId) return;
-    deleteTarget(ctx.targetId);
+    deleteTargets(ctxTargets);
+    setCtx((p) => ({ ...p, open: false }));
+  }
+
+  function ctxCopy(cut) {
+    if (!ctx.targetId) return;
+    copyTargets(ctxTargets, { cut });
+    setCtx((p) => ({ ...p, open: false }));
+  }
+
+  function ctxSort(recursive) {
+    if (!ctx.targetId) return;
+    sortFolder(ctx.targetId, { recursive });
+    setCtx((p) => ({ ...p, open: false }));
+  }
+
+  function ctxDuplicate() {
+    if (!ctx.targetId) return;
+    duplicateTargets(ctxTargets);
+    setCtx((p) => ({ ...p, open: false }));
+  }
+
+  // Pastes what was copied in this tab, or falls back to the system clipboard's text.
+  async function ctxPaste() {
+    const targetId = ctx.targetId;
+    setCtx((p) => ({ ...p, open: false }));
+    if (!targetId) return;
+
+    let items = clipboard;
+    if (!items?.length) {
+      try {
+        items = parseClipboardItems(await navigator.clipboard.readText());
+      } catch {
+        items = null;
+      }
+    }
+    if (!items?.length) {
+      alert("Nothing to paste: copy something first, or focus a row and press Ctrl+V.");
+      return;
+    }
+    pasteInto(targetId, items);
+  }
+
+  function ctxMoveSelectionHere() {
+    if (!ctx.targetId) return;
+    moveSelectedTo(ctx.targetId);
     setCtx((p) => ({ ...p, open: false }));
   }
 
   // ------- Drag overlay label -------
-  const dragLabel = draggingId ? `${icon(nodes[draggingId]?.kind)} ${nodes[draggingId]?.name || ""}` : "";
+  const dragCount = draggingId ? topLevelIds(nodes, actionTargets(draggingId)).length : 0;
+  const dragLabel = !draggingId
+    ? ""
+    : dragCount > 1
+      ? `📦 ${dragCount} items`
+      : withIcon(nodes[draggingId], nodes[draggingId]?.name || "", iconTheme);
 
   return (
     <div className="appShell">
@@ -910,19 +1999,61 @@ export default function App() {
         </div>
 
         <div className="topActions">
+          <div className="rowInline">
+            <button className="btn" onClick={undo} disabled={readOnly || !canUndo} title="Undo (Ctrl+Z)">
+              ↶ Undo
+            </button>
+            <button className="btn" onClick={redo} disabled={readOnly || !canRedo} title="Redo (Ctrl+Shift+Z)">
+              ↷ Redo
+            </button>
+          </div>
           <div className="searchWrap">
+            <select
+              className="input inputInline searchMode"
+              value={searchMode}
+              onChange={(e) => {
+                setSearchMode(e.target.value);
+                setFilterCollapsed(new Set());
+              }}
+              title="Text matches part of a name, Glob the whole name (*.test.js); add a / to match paths (src/utils, **/*.md)"
+            >
+              {SEARCH_MODES.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
             <input
-              className="input"
-              placeholder="Search… (name contains)"
+              className={"input " + (compiledSearch?.error ? "inputError" : "")}
+              placeholder={searchMode === "text" ? "Search… (name or path/…)" : searchMode === "glob" ? "**/*.test.js" : "^index\\.(js|ts)$"}
               value={search}
-              onChange={(e) => setSearch(e.target.value)}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setFilterCollapsed(new Set());
+              }}
               onKeyDown={(e) => {
-                if (e.key === "Enter") jumpToFirstMatch();
+                if (e.key === "Enter") stepMatch(e.shiftKey ? -1 : 1);
               }}
+              title={compiledSearch?.error || "Enter: next match, Shift+Enter: previous"}
             />
-            <button className="btn" onClick={jumpToFirstMatch} title="Jump to first match">
-              Jump
+            <span className="searchCount">{searchStatus()}</span>
+            <button className="btn" onClick={() => stepMatch(-1)} disabled={!matches.length} title="Previous match (Shift+Enter)">
+              ↑
+            </button>
+            <button className="btn" onClick={() => stepMatch(1)} disabled={!matches.length} title="Next match (Enter)">
+              ↓
             </button>
+            <label className="rowInline hint" title="Hide everything except matches and their folders">
+              <input
+                type="checkbox"
+                checked={filterMatches}
+                onChange={(e) => {
+                  setFilterMatches(e.target.checked);
+                  setFilterCollapsed(new Set());
+                }}
+              />
+              Filter
+            </label>
           </div>
         </div>
       </header>
@@ -934,183 +2065,593 @@ export default function App() {
             <div className="panelTitle">Builder</div>
           </div>
 
-          <div className="block">
-            <label className="label">Root name</label>
-            <input
-              className="input"
-              value={nodes[ROOT_ID].name}
-              onChange={(e) =>
-                setNodes((prev) => {
-                  const copy = clone(prev);
-                  copy[ROOT_ID].name = e.target.value;
-                  return copy;
-                })
-              }
-            />
-          </div>
+          {shared && (
+            <div className={"block notice " + (shared.status === "error" ? "noticeError" : "")}>
+              {shared.status === "loading" && <div className="hint">Opening shared structure…</div>}
+              {shared.status === "error" && (
+                <>
+                  <div className="label">Could not open share link</div>
+                  <div className="hint">{shared.error}</div>
+                  <button className="btn" onClick={closeSharedView}>
+                    Dismiss
+                  </button>
+                </>
+              )}
+              {shared.status === "ready" && (
+                <>
+                  <div className="label">👀 Viewing a shared structure (read-only)</div>
+                  <div className="hint">Your own projects are untouched. Exports work as usual.</div>
+                  <div className="rowInline">
+                    <button className="btnPrimary" onClick={editSharedCopy}>
+                      ✏️ Edit a copy
+                    </button>
+                    <button className="btn" onClick={closeSharedView}>
+                      Close
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
 
-          <div className="divider" />
+          <fieldset className="fieldsetReset" disabled={readOnly}>
+
+            <div className="block">
+              <label className="label">Project</label>
+              <select className="input" value={projectId} onChange={(e) => switchProject(e.target.value)}>
+                {projects.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name || "Untitled"} — {formatTimestamp(p.updatedAt)}
+                  </option>
+                ))}
+              </select>
+              <input
+                className="input"
+                value={projects.find((p) => p.id === projectId)?.name || ""}
+                onChange={(e) => renameProject(e.target.value)}
+                placeholder="Project name"
+                aria-label="Project name"
+              />
+              <div className="rowInline">
+                <button className="btn" onClick={newProject}>
+                  ➕ New
+                </button>
+                <button className="btn" onClick={duplicateProject}>
+                  ⧉ Duplicate
+                </button>
+                <button className="btn" onClick={deleteProject}>
+                  🗑️ Delete
+                </button>
+              </div>
+              <div className="hint">
+                {saveFailed
+                  ? "⚠️ Could not save to browser storage (full or disabled)."
+                  : "Saved automatically in this browser."}
+              </div>
+            </div>
 
-          <div className="block">
-            <div className="rowInline">
-              <button className={"pill " + (addKind === "folder" ? "pillOn" : "")} onClick={() => setAddKind("folder")}>
-                📁 Folder
-              </button>
-              <button className={"pill " + (addKind === "file" ? "pillOn" : "")} onClick={() => setAddKind("file")}>
-                📄 File
-              </button>
+            <div className="divider" />
+
+            <div className="block">
+              <label className="label">Root name</label>
+              <input
+                className="input"
+                value={nodes[ROOT_ID].name}
+                onChange={(e) =>
+                  setNodes(
+                    (prev) => {
+                      const copy = clone(prev);
+                      copy[ROOT_ID].name = e.target.value;
+                      return copy;
+                    },
+                    { coalesce: "root-name" }
+                  )
+                }
+              />
             </div>
 
-            <label className="label">Name</label>
-            <input className="input" value={addName} onChange={(e) => setAddName(e.target.value)} placeholder="src, assets, README.md…" />
+            <div className="divider" />
 
-            <label className="label">Parent folder</label>
-            <select className="input" value={addParent} onChange={(e) => setAddParent(e.target.value)}>
-              {folderOptions.map((f) => (
-                <option key={f.id} value={f.id}>
-                  {f.name}
-                  {f.id === ROOT_ID ? " (root)" : ""}
-                </option>
+            <div className="block">
+              <div className="rowInline">
+                <button className={"pill " + (addKind === "folder" ? "pillOn" : "")} onClick={() => setAddKind("folder")}>
+                  📁 Folder
+                </button>
+                <button className={"pill " + (addKind === "file" ? "pillOn" : "")} onClick={() => setAddKind("file")}>
+                  📄 File
+                </button>
+              </div>
+
+              <label className="label">Name</label>
+              <input className="input" value={addName} onChange={(e) => setAddName(e.target.value)} placeholder="src, README.md, src/components/Button/index.tsx…" />
+              {addNameProblems.map((p, i) => (
+                <div key={i} className={"hint " + (p.level === "error" ? "hintError" : "hintWarn")}>
+                  {problemIcon([p])} {p.message}
+                </div>
               ))}
-            </select>
 
-            <button className="btnPrimary" onClick={() => addItem(addKind, addName, addParent)}>
-              ➕ Add
-            </button>
-          </div>
+              <label className="label">Parent folder</label>
+              <select className="input" value={addParent} onChange={(e) => setAddParent(e.target.value)}>
+                {folderOptions.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.name}
+                    {f.id === ROOT_ID ? " (root)" : ""}
+                  </option>
+                ))}
+              </select>
+
+              <button className="btnPrimary" onClick={() => addItem(addKind, addName, addParent)}>
+                ➕ Add
+              </button>
+              <div className="hint">A path like src/utils/format.js creates the missing folders too.</div>
+
+              <details>
+                <summary className="hint">Paste a list of paths</summary>
+                <div className="block" style={{ padding: "8px 0 0" }}>
+                  <textarea
+                    className="input textarea"
+                    rows={6}
+                    value={pathList}
+                    onChange={(e) => setPathList(e.target.value)}
+                    placeholder={"src/main.js\nsrc/components/Button/index.tsx\ndocs/\nREADME.md"}
+                  />
+                  <button className="btn" onClick={addPathList}>
+                    ➕ Add paths
+                  </button>
+                  <div className="hint">
+                    One path per line, e.g. <code>git ls-files</code> or <code>find .</code> output, added under the parent
+                    folder above. A trailing <code>/</code> marks an empty folder.
+                  </div>
+                  {pathListReport && <div className="hint">{pathListReport}</div>}
+                </div>
+              </details>
+            </div>
 
-          <div className="divider" />
+            <div className="divider" />
 
-          <div className="block">
-            <div className="rowInline" style={{ justifyContent: "space-between" }}>
-              <div className="label" style={{ margin: 0 }}>
-                Templates
+            <div className="block">
+              <div className="rowInline" style={{ justifyContent: "space-between" }}>
+                <div className="label" style={{ margin: 0 }}>
+                  Templates
+                </div>
+                <button className="btnGhost" onClick={() => applyTemplate(activeTemplate.id)}>
+                  Apply
+                </button>
               </div>
-              <button className="btnGhost" onClick={() => applyTemplate(templateKey)}>
-                Apply
-              </button>
+              <select className="input" value={activeTemplate.id} onChange={(e) => pickTemplate(e.target.value)}>
+                <TemplateOptions templates={templates} />
+              </select>
+              <div className="hint">Applies a starter structure (replaces current tree).</div>
+
+              <details>
+                <summary className="hint">Save &amp; manage templates</summary>
+                <div className="block" style={{ padding: "8px 0 0" }}>
+                  <label className="label">Name</label>
+                  <input className="input" value={templateName} onChange={(e) => setTemplateName(e.target.value)} placeholder="Service package" />
+                  <label className="label">Category</label>
+                  <input
+                    className="input"
+                    value={templateCategory}
+                    onChange={(e) => setTemplateCategory(e.target.value)}
+                    placeholder="Backend, Docs… (optional)"
+                    list="template-categories"
+                  />
+                  <datalist id="template-categories">
+                    {[...new Set(userTemplates.map((t) => t.category).filter(Boolean))].map((c) => (
+                      <option key={c} value={c} />
+                    ))}
+                  </datalist>
+                  <div className="rowInline">
+                    <button className="btn" onClick={() => saveTemplate(ROOT_ID)}>
+                      💾 Save tree
+                    </button>
+                    <button
+                      className="btn"
+                      onClick={() => saveTemplate(selectedId)}
+                      disabled={nodes[selectedId]?.kind !== "folder"}
+                      title="Save the selected folder and everything in it"
+                    >
+                      💾 Save selected folder
+                    </button>
+                  </div>
+                  {!activeTemplate.builtIn && (
+                    <div className="rowInline">
+                      <button className="btn" onClick={updateTemplateInfo} title={`Rename or move "${activeTemplate.name}"`}>
+                        ✏️ Update name &amp; category
+                      </button>
+                      <button className="btnGhost" onClick={deleteTemplate}>
+                        🗑️ Delete
+                      </button>
+                    </div>
+                  )}
+                  <label className="label">Template packs</label>
+                  <div className="rowInline">
+                    <button className="btn" onClick={exportTemplatePack} disabled={!userTemplates.length}>
+                      ⬇️ Export my templates
+                    </button>
+                  </div>
+                  <input type="file" accept=".json,application/json" onChange={importTemplatePack} />
+                  <div className="hint">Built-in templates can’t be changed; save a copy to adapt one.</div>
+                </div>
+              </details>
             </div>
-            <select className="input" value={templateKey} onChange={(e) => setTemplateKey(e.target.value)}>
-              {Object.keys(TEMPLATES).map((k) => (
-                <option key={k} value={k}>
-                  {k}
-                </option>
-              ))}
-            </select>
-            <div className="hint">Applies a starter structure (replaces current tree).</div>
-          </div>
 
-          <div className="divider" />
+            <div className="divider" />
 
-          <div className="block">
-            <div className="panelTitle" style={{ fontSize: 14, marginBottom: 8 }}>
-              Selected item
+            <div className="block">
+              <div className="panelTitle" style={{ fontSize: 14, marginBottom: 8 }}>
+                Merge into a folder
+              </div>
+
+              <label className="label">Into</label>
+              <select className="input" value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)}>
+                {folderOptions.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.name}
+                    {f.id === ROOT_ID ? " (root)" : ""}
+                  </option>
+                ))}
+              </select>
+
+              <label className="label">Same-name entries</label>
+              <select className="input" value={mergeStrategy} onChange={(e) => setMergeStrategy(e.target.value)}>
+                {Object.entries(MERGE_STRATEGIES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <label className="rowInline hint">
+                <input type="checkbox" checked={mergeContentsOnly} onChange={(e) => setMergeContentsOnly(e.target.checked)} />
+                Contents only (leave out the imported top folder)
+              </label>
+
+              <label className="label">Template</label>
+              <div className="rowInline">
+                <select
+                  className="input inputInline"
+                  value={findTemplate(mergeTemplateKey) ? mergeTemplateKey : BUILTIN_TEMPLATES[0].id}
+                  onChange={(e) => setMergeTemplateKey(e.target.value)}
+                >
+                  <TemplateOptions templates={templates} />
+                </select>
+                <button className="btn" onClick={mergeTemplate}>
+                  ➕ Merge
+                </button>
+              </div>
+
+              <label className="label">File</label>
+              <input type="file" accept=".json,.yaml,.yml,.txt,application/json" onChange={mergeStructureFile} />
+              {mergeReport && <div className="hint">{mergeReport}</div>}
             </div>
 
-            {!selectedId ? (
-              <div className="hint">Click an item in the tree to rename/move/delete.</div>
-            ) : (
-              <>
-                <div className="selectedLine">
-                  <span className="selIcon">{icon(nodes[selectedId].kind)}</span>
-                  <span className="selName">{nodes[selectedId].name}</span>
-                  <span className="selMeta">{selectedId}</span>
-                </div>
+            <div className="divider" />
 
-                <label className="label">Rename</label>
-                <input className="input" value={renameValue} onChange={(e) => setRenameValue(e.target.value)} />
-                <button className="btn" onClick={saveRename}>
-                  💾 Save rename
+            <div className="block">
+              <div className="rowInline" style={{ justifyContent: "space-between" }}>
+                <div className="label" style={{ margin: 0 }}>
+                  Sorting
+                </div>
+                <button className="btnGhost" onClick={() => sortFolder(ROOT_ID, { recursive: true })}>
+                  Sort tree
                 </button>
+              </div>
+              <select className="input" value={sortRule.order} onChange={(e) => updateSortRule({ order: e.target.value })}>
+                {Object.entries(SORT_ORDERS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <label className="rowInline hint">
+                <input
+                  type="checkbox"
+                  checked={sortRule.foldersFirst}
+                  onChange={(e) => updateSortRule({ foldersFirst: e.target.checked })}
+                />
+                Folders first
+              </label>
+              <label className="rowInline hint">
+                <input type="checkbox" checked={sortRule.auto} onChange={(e) => updateSortRule({ auto: e.target.checked })} />
+                Keep sorted automatically
+              </label>
+              <div className="hint">
+                {sortRule.auto
+                  ? "New, moved and imported items land in sorted position. Dragging still moves items to another folder, but not within one."
+                  : "Right-click a folder to sort just its contents."}
+              </div>
+            </div>
+
+            <div className="divider" />
+
+            <div className="block">
+              <div className="panelTitle" style={{ fontSize: 14, marginBottom: 8 }}>
+                Selected item
+              </div>
 
-                <label className="label">Move to folder</label>
-                <select className="input" value={nodes[selectedId].parent || ROOT_ID} onChange={(e) => moveSelectedTo(e.target.value)}>
-                  {moveTargets.map((f) => (
-                    <option key={f.id} value={f.id}>
-                      {f.name}
-                      {f.id === ROOT_ID ? " (root)" : ""}
+              {!selectedId ? (
+                <div className="hint">
+                  Click an item in the tree to rename/move/delete. Ctrl/Cmd-click or Shift-click selects several.
+                </div>
+              ) : selectedIds.length > 1 ? (
+                <>
+                  <div className="selectedLine">
+                    <span className="selIcon">📦</span>
+                    <span className="selName">{selectedIds.length} items selected</span>
+                  </div>
+
+                  <label className="label">Move to folder</label>
+                  <select className="input" value="" onChange={(e) => moveSelectedTo(e.target.value)}>
+                    <option value="" disabled>
+                      Choose a folder…
                     </option>
+                    {moveTargets.map((f) => (
+                      <option key={f.id} value={f.id}>
+                        {f.name}
+                        {f.id === ROOT_ID ? " (root)" : ""}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="hint">Items keep their order; selected folders can’t receive the selection.</div>
+
+                  <button className="btnDanger" onClick={() => deleteTargets(selectedIds)}>
+                    🗑️ Delete {selectedIds.length} items
+                  </button>
+                </>
+              ) : (
+                <>
+                  <div className="selectedLine">
+                    {iconTheme !== "none" && <span className="selIcon">{icon(nodes[selectedId], iconTheme)}</span>}
+                    <span className="selName">{nodes[selectedId].name}</span>
+                    <span className="selMeta">{selectedId}</span>
+                  </div>
+
+                  <label className="label">Rename</label>
+                  <input
+                    className="input"
+                    ref={renameInputRef}
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") {
+                        saveRename();
+                        focusRow(selectedId);
+                      }
+                    }}
+                  />
+                  {renameProblems.map((p, i) => (
+                    <div key={i} className={"hint " + (p.level === "error" ? "hintError" : "hintWarn")}>
+                      {problemIcon([p])} {p.message}
+                    </div>
                   ))}
-                </select>
-                {nodes[selectedId].kind === "folder" && <div className="hint">Folders can’t be moved into themselves/descendants.</div>}
+                  <button className="btn" onClick={saveRename}>
+                    💾 Save rename
+                  </button>
 
-                <button className="btnDanger" onClick={() => deleteTarget(selectedId)}>
-                  🗑️ Delete {nodes[selectedId].kind === "folder" ? "subtree" : "file"}
-                </button>
-              </>
-            )}
-          </div>
+                  <label className="label">Description</label>
+                  <input
+                    className="input"
+                    value={nodes[selectedId].description || ""}
+                    onChange={(e) => setDescription(selectedId, e.target.value)}
+                    placeholder="application code, build output…"
+                  />
+                  <div className="hint">Shown as a comment in tree.txt, Markdown and Mermaid exports.</div>
+
+                  {selectedId !== ROOT_ID && (
+                    <>
+                      <label className="label">Move to folder</label>
+                      <select className="input" value={nodes[selectedId].parent || ROOT_ID} onChange={(e) => moveSelectedTo(e.target.value)}>
+                        {moveTargets.map((f) => (
+                          <option key={f.id} value={f.id}>
+                            {f.name}
+                            {f.id === ROOT_ID ? " (root)" : ""}
+                          </option>
+                        ))}
+                      </select>
+                      {nodes[selectedId].kind === "folder" && <div className="hint">Folders can’t be moved into themselves/descendants.</div>}
+
+                      <button className="btnDanger" onClick={() => deleteTargets([selectedId])}>
+                        🗑️ Delete {nodes[selectedId].kind === "folder" ? "subtree" : "file"}
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
 
-          <div className="divider" />
+            <div className="divider" />
 
-          <div className="block">
-            <div className="panelTitle" style={{ fontSize: 14, marginBottom: 8 }}>
-              Import / Reset
-            </div>
+            <div className="block">
+              <div className="panelTitle" style={{ fontSize: 14, marginBottom: 8 }}>
+                Import / Reset
+              </div>
 
-            <label className="label">Import JSON</label>
-            <input type="file" accept=".json,application/json" onChange={importJsonFile} />
-            <div className="hint">Accepts either exported structure.json or nested JSON.</div>
-
-            <button
-              className="btnGhost"
-              onClick={() => {
-                setNodes(defaultState());
-                setSelectedId(null);
-                setRenameValue("");
-                setAddParent(ROOT_ID);
-                setSearch("");
-              }}
-            >
-              🧹 Reset
-            </button>
-          </div>
+              <label className="label">Import file</label>
+              <input type="file" accept=".json,.yaml,.yml,.txt,application/json" onChange={importStructureFile} />
+              <div className="hint">
+                Accepts exported structure.json or nested JSON, YAML (.yaml/.yml) and indented outlines or tree.txt
+                (.txt).
+              </div>
+
+              <label className="label">Import folder</label>
+              <button className="btn" onClick={importFolder}>
+                📂 Choose folder…
+              </button>
+              <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
+                directory=""
+                multiple
+                style={{ display: "none" }}
+                onChange={importFolderFiles}
+              />
+              <details>
+                <summary className="hint">Folder import options</summary>
+                <div className="block" style={{ padding: "8px 0 0" }}>
+                  <label className="label">Ignore (one pattern per line, .gitignore syntax)</label>
+                  <textarea
+                    className="input textarea"
+                    rows={3}
+                    value={ignoreText}
+                    onChange={(e) => setIgnoreText(e.target.value)}
+                  />
+                  <label className="rowInline hint">
+                    <input type="checkbox" checked={honorGitignore} onChange={(e) => setHonorGitignore(e.target.checked)} />
+                    Honor .gitignore files found in the folder
+                  </label>
+                  <label className="label">Max depth</label>
+                  <input
+                    className="input"
+                    type="number"
+                    min={1}
+                    value={maxDepth}
+                    onChange={(e) => setMaxDepth(e.target.value)}
+                  />
+                </div>
+              </details>
+              <div className="hint">Only names are read, never file contents (apart from .gitignore).</div>
+
+              <label className="label">Paste text tree</label>
+              <textarea
+                className="input textarea"
+                rows={6}
+                value={pasteText}
+                onChange={(e) => setPasteText(e.target.value)}
+                placeholder={"my-app\n├── src/\n│   └── main.js\n└── README.md"}
+              />
+              <button className="btn" onClick={importTextTree}>
+                📋 Import text
+              </button>
+              <div className="hint">
+                Accepts tree.txt output, ASCII <code>|--</code> / <code>`--</code> trees or plain indentation. A trailing
+                <code>/</code> marks a folder.
+              </div>
+
+              <button className="btnGhost" onClick={() => replaceTree(defaultState())}>
+                🧹 Reset
+              </button>
+            </div>
+          </fieldset>
         </section>
 
         {/* RIGHT PANEL */}
         <section className="panel">
           <div className="panelHead">
             <div className="panelTitle">Tree</div>
-            <div className="panelRightHint">Right click an item for actions.</div>
+            <div className="panelRightHint">
+              <select
+                className="input inputInline"
+                value={iconTheme}
+                onChange={(e) => setIconTheme(e.target.value)}
+                title="Icon set for the tree, Markdown and Mermaid"
+              >
+                {Object.entries(ICON_THEMES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>{" "}
+              Right click an item for actions.{" "}
+              <button className="linkBtn" onClick={() => setShowShortcuts(true)} title="Keyboard shortcuts (?)">
+                ⌨️ Shortcuts
+              </button>
+            </div>
           </div>
 
-          <div className="treeWrap" ref={treeWrapRef}>
+          {nameProblems.length > 0 && (
+            <details className="problemsPanel">
+              <summary>
+                {problemIcon(nameProblems)} {nameProblems.length} name problem{nameProblems.length === 1 ? "" : "s"}
+              </summary>
+              <ul className="problemList">
+                {nameProblems.slice(0, 200).map((p, i) => (
+                  <li key={i} className={p.level === "error" ? "problemError" : ""}>
+                    <button className="linkBtn" onClick={() => revealNode(p.id)}>
+                      <code>{nodes[p.id].name || "(empty)"}</code>
+                    </button>{" "}
+                    {p.message}
+                  </li>
+                ))}
+                {nameProblems.length > 200 && <li>…and {nameProblems.length - 200} more</li>}
+              </ul>
+            </details>
+          )}
+
+          <div className="treeWrap">
             <DndContext
-              sensors={sensors}
+              sensors={readOnly ? [] : sensors}
               collisionDetection={closestCenter}
               onDragStart={onDragStart}
               onDragEnd={onDragEnd}
             >
-              {/* Root header (not draggable) */}
               <div
-                className={"row rowRoot " + (search && nodes[ROOT_ID].name.toLowerCase().includes(search.toLowerCase()) ? "rowHighlight" : "")}
-                onContextMenu={(e) => openContextMenu(e, ROOT_ID)}
+                role="tree"
+                aria-label="Folder structure"
+                aria-multiselectable="true"
+                onKeyDown={onTreeKeyDown}
+                onPaste={onTreePaste}
               >
-                <div className="rowLeft">
-                  <button className="twist" onClick={() => toggleFolder(ROOT_ID)}>
-                    {nodes[ROOT_ID].isOpen ? "▾" : "▸"}
-                  </button>
-                  <span className="rowIcon">📁</span>
-                  <span className="rowName">{nodes[ROOT_ID].name}</span>
-                </div>
-                <div className="rowRight">
-                  <span className="rowId">{ROOT_ID}</span>
+                {/* Root header (not draggable) */}
+                <div
+                  className={
+                    "row rowRoot " +
+                    (selectedId === ROOT_ID ? "rowSelected " : "") +
+                    (matchSet.has(ROOT_ID) ? "rowHighlight" : "")
+                  }
+                  role="treeitem"
+                  data-id={ROOT_ID}
+                  aria-level={1}
+                  aria-selected={selectedId === ROOT_ID}
+                  aria-expanded={isExpanded(nodes[ROOT_ID], filter)}
+                  tabIndex={tabStopId === ROOT_ID ? 0 : -1}
+                  onClick={() => onSelect(ROOT_ID)}
+                  onContextMenu={(e) => openContextMenu(e, ROOT_ID)}
+                  ref={(el) => (scrollRefMap.current[ROOT_ID] = el)}
+                >
+                  <div className="rowLeft">
+                    <button
+                      className="twist"
+                      tabIndex={-1}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        toggleFolder(ROOT_ID);
+                      }}
+                    >
+                      {isExpanded(nodes[ROOT_ID], filter) ? "▾" : "▸"}
+                    </button>
+                    {iconTheme !== "none" && <span className="rowIcon">{icon(nodes[ROOT_ID], iconTheme)}</span>}
+                    <span className="rowName">{nodes[ROOT_ID].name}</span>
+                    {problemsById[ROOT_ID] && (
+                      <span className="rowWarn" title={problemsById[ROOT_ID].map((p) => p.message).join("\n")}>
+                        {problemIcon(problemsById[ROOT_ID])}
+                      </span>
+                    )}
+                  </div>
+                  <div className="rowRight">
+                    <span className="rowId">{ROOT_ID}</span>
+                  </div>
                 </div>
-              </div>
 
-              {nodes[ROOT_ID].isOpen && (
-                <Tree
-                  nodes={nodes}
-                  parentId={ROOT_ID}
-                  depth={0}
-                  selectedId={selectedId}
-                  onSelect={onSelect}
-                  onToggle={toggleFolder}
-                  onContextMenu={openContextMenu}
-                  query={search.trim()}
-                  scrollRefMap={scrollRefMap}
-                />
-              )}
+                {filter && !matches.length && <div className="hint emptyFilter">No matches</div>}
+                {isExpanded(nodes[ROOT_ID], filter) && (
+                  <Tree
+                    nodes={nodes}
+                    parentId={ROOT_ID}
+                    depth={0}
+                    selectedSet={selectedSet}
+                    tabStopId={tabStopId}
+                    onSelect={onSelect}
+                    onToggle={toggleFolder}
+                    onContextMenu={openContextMenu}
+                    matchSet={matchSet}
+                    filter={filter}
+                    problemsById={problemsById}
+                    iconTheme={iconTheme}
+                    scrollRefMap={scrollRefMap}
+                  />
+                )}
+              </div>
 
               <DragOverlay>
                 {draggingId ? (
@@ -1125,38 +2666,377 @@ export default function App() {
             <button className="btn" onClick={exportTreeTxt}>
               ⬇️ tree.txt
             </button>
+            <button className="btn" onClick={exportZip} disabled={zipBusy} title="Empty folders and files, ready to unzip">
+              {zipBusy ? "⏳ Zipping…" : "⬇️ ZIP"}
+            </button>
+            <button className="btn" onClick={exportShellScript} title="POSIX shell script (mkdir -p / touch)">
+              ⬇️ .sh
+            </button>
+            <button className="btn" onClick={exportPowershellScript} title="PowerShell script">
+              ⬇️ .ps1
+            </button>
+            <button className="btn" onClick={exportNodeScript} title="Dependency-free Node.js script">
+              ⬇️ Node script
+            </button>
+            <input
+              className="input inputInline"
+              value={scaffoldTarget}
+              onChange={(e) => setScaffoldTarget(e.target.value)}
+              placeholder="Script target dir (optional)"
+              title="Prefix for every path the scaffold scripts create"
+            />
             <button className="btn" onClick={exportJson}>
               ⬇️ JSON
             </button>
+            <button className="btn" onClick={exportYaml}>
+              ⬇️ YAML
+            </button>
+            <button className="btn" onClick={exportOutline} title="Indented outline, folders end with /">
+              ⬇️ Outline
+            </button>
             <button className="btn" onClick={exportMd}>
               ⬇️ Markdown
             </button>
+            <select
+              className="input inputInline"
+              value={diagramLayout}
+              onChange={(e) => setDiagramLayout(e.target.value)}
+              title="Diagram layout for PNG and SVG"
+            >
+              {Object.entries(DIAGRAM_LAYOUTS).map(([value, preset]) => (
+                <option key={value} value={value}>
+                  {preset.label} layout
+                </option>
+              ))}
+            </select>
             <button className="btn" onClick={exportPng}>
               ⬇️ PNG
             </button>
             <button className="btn" onClick={exportSvg}>
               ⬇️ SVG
             </button>
+            <button className="btn" onClick={copyShareLink} title="Copy a link that opens this structure read-only">
+              {shareCopied ? "✅ Link copied" : "🔗 Copy share link"}
+            </button>
           </div>
 
           {/* Quick previews */}
           <details className="details">
             <summary>Preview: tree.txt</summary>
+            <div className="rowInline previewOptions">
+              {TREE_TEXT_TOGGLES.map(([key, label]) => (
+                <label key={key} className="rowInline hint">
+                  <input
+                    type="checkbox"
+                    checked={treeTextOptions[key]}
+                    onChange={(e) => setTreeTextOptions((o) => ({ ...o, [key]: e.target.checked }))}
+                  />
+                  {label}
+                </label>
+              ))}
+              <label className="rowInline hint">
+                Depth
+                <input
+                  className="input inputNarrow"
+                  type="number"
+                  min={0}
+                  value={treeTextOptions.maxDepth}
+                  onChange={(e) => setTreeTextOptions((o) => ({ ...o, maxDepth: Math.max(0, Number(e.target.value) || 0) }))}
+                  title="0 shows every level"
+                />
+              </label>
+            </div>
+            <div className="hint">Also used by the tree.txt and Markdown downloads.</div>
             <pre className="pre">{treeText}</pre>
           </details>
 
-          <details className="details">
+          <details className="details" onToggle={(e) => setDiagramPreviewOpen(e.currentTarget.open)}>
+            <summary>Preview: diagram (PNG / SVG)</summary>
+            {diagramPreview && (
+              <div className="diagramPreview">
+                <img
+                  src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(diagramPreview.svg)}`}
+                  alt="Folder structure diagram"
+                />
+              </div>
+            )}
+          </details>
+
+          <details className="details" onToggle={(e) => setMermaidPreviewOpen(e.currentTarget.open)}>
             <summary>Preview: Mermaid</summary>
-            <pre className="pre">{mmText}</pre>
+            <div className="rowInline previewOptions">
+              <select
+                className="input inputInline"
+                value={mermaidOptions.syntax}
+                onChange={(e) => setMermaidOptions((o) => ({ ...o, syntax: e.target.value }))}
+              >
+                {Object.entries(MERMAID_SYNTAXES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="input inputInline"
+                value={mermaidOptions.direction}
+                disabled={mermaidOptions.syntax === "mindmap"}
+                onChange={(e) => setMermaidOptions((o) => ({ ...o, direction: e.target.value }))}
+              >
+                <option value="TD">Top → down</option>
+                <option value="LR">Left → right</option>
+              </select>
+              <label className="rowInline hint">
+                Depth
+                <input
+                  className="input inputNarrow"
+                  type="number"
+                  min={0}
+                  value={mermaidOptions.maxDepth}
+                  onChange={(e) => setMermaidOptions((o) => ({ ...o, maxDepth: Math.max(0, Number(e.target.value) || 0) }))}
+                  title="0 shows every level"
+                />
+              </label>
+              <label className="rowInline hint">
+                <input
+                  type="checkbox"
+                  checked={mermaidOptions.expandedOnly}
+                  onChange={(e) => setMermaidOptions((o) => ({ ...o, expandedOnly: e.target.checked }))}
+                />
+                Only expanded folders
+              </label>
+            </div>
+            <div className="mermaidPreview">
+              <pre className="pre">{mmText}</pre>
+              <div className="mermaidRendered">
+                {mermaidPreview.error ? (
+                  <div className="hint hintError">Mermaid couldn’t render this: {mermaidPreview.error}</div>
+                ) : mermaidPreview.svg ? (
+                  <div dangerouslySetInnerHTML={{ __html: mermaidPreview.svg }} />
+                ) : (
+                  <div className="hint">Rendering…</div>
+                )}
+              </div>
+            </div>
+          </details>
+
+          <details className="details" open={!!compare}>
+            <summary>Compare with…</summary>
+            <div className="compareSources">
+              <div className="rowInline">
+                <select className="input inputInline" value={compareProjectId} onChange={(e) => setCompareProjectId(e.target.value)}>
+                  <option value="" disabled>
+                    Saved project…
+                  </option>
+                  {projects
+                    .filter((p) => p.id !== projectId)
+                    .map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                </select>
+                <button className="btn" onClick={compareWithProject} disabled={!compareProjectId}>
+                  Compare
+                </button>
+              </div>
+              <label className="label">File (structure.json, nested JSON, YAML, tree.txt)</label>
+              <input type="file" accept=".json,.yaml,.yml,.txt,application/json" onChange={compareWithFile} />
+              <label className="label">Text tree</label>
+              <textarea
+                className="input textarea"
+                rows={4}
+                value={compareText}
+                onChange={(e) => setCompareText(e.target.value)}
+                placeholder={"my-app\n├── src/\n│   └── main.js\n└── README.md"}
+              />
+              <button className="btn" onClick={compareWithText}>
+                Compare text
+              </button>
+            </div>
+
+            {diff && (
+              <div className="diffView">
+                <div className="rowInline">
+                  <span className="hint">
+                    <b>{diffLabels[0]}</b> → <b>{diffLabels[1]}</b>: {diffSummary(diff.counts)}
+                  </span>
+                  <button className="btn" onClick={() => setCompare((c) => ({ ...c, swapped: !c.swapped }))} title="Swap before and after">
+                    ⇄ Swap
+                  </button>
+                  <button className="btn" onClick={exportDiffTxt}>
+                    ⬇️ diff.txt
+                  </button>
+                  <button className="btn" onClick={exportDiffMd}>
+                    ⬇️ diff.md
+                  </button>
+                  <button className="btn" onClick={copyDiffMd} title="Markdown for a PR description">
+                    {diffCopied ? "✅ Copied" : "📋 Copy Markdown"}
+                  </button>
+                  <button className="btnGhost" onClick={() => setCompare(null)}>
+                    ✕ Close
+                  </button>
+                </div>
+                <div className="diffTree">
+                  {diffRows(diff.tree).map(({ entry, prefix }, i) => (
+                    <div key={i} className={"diffRow diff-" + entry.status}>
+                      <span className="diffMark">{DIFF_MARKS[entry.status]}</span>
+                      <span className="diffPrefix">{prefix}</span>
+                      {iconTheme !== "none" && <span className="rowIcon">{icon(entry, iconTheme)}</span>}
+                      <span>{entry.name}</span>
+                      {diffNote(entry) && <span className="diffNote">{diffNote(entry)}</span>}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </details>
         </section>
       </main>
 
+      {/* Keyboard shortcuts */}
+      {showShortcuts && (
+        <div className="modalBackdrop" onClick={() => setShowShortcuts(false)}>
+          <div className="modal" role="dialog" aria-modal="true" aria-labelledby="shortcuts-title" onClick={(e) => e.stopPropagation()}>
+            <div className="panelTitle" id="shortcuts-title">
+              ⌨️ Keyboard shortcuts
+            </div>
+            <div className="hint">Focus the tree (click an item or Tab into it), then:</div>
+            <table className="shortcutTable">
+              <tbody>
+                {SHORTCUTS.map(([keys, what]) => (
+                  <tr key={keys}>
+                    <td>
+                      <kbd>{keys}</kbd>
+                    </td>
+                    <td>{what}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="rowInline" style={{ justifyContent: "flex-end" }}>
+              <button className="btn" onClick={() => setShowShortcuts(false)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import problems */}
+      {importReview && (
+        <div className="modalBackdrop" onClick={() => setImportReview(null)}>
+          <div className="modal" role="dialog" aria-modal="true" aria-labelledby="import-review-title" onClick={(e) => e.stopPropagation()}>
+            <div className="panelTitle" id="import-review-title">
+              ⚠️ {importReview.fileName}: {importReview.problems.length} problem
+              {importReview.problems.length === 1 ? "" : "s"} found
+            </div>
+            <ul className="problemList">
+              {importReview.problems.slice(0, 200).map((p, i) => (
+                <li key={i}>
+                  <code>{p.id}</code> {p.message}
+                </li>
+              ))}
+              {importReview.problems.length > 200 && <li>…and {importReview.problems.length - 200} more</li>}
+            </ul>
+            <div className="hint">
+              Repairing drops dangling ids and orphans, breaks cycles and fixes parent links. Nothing is loaded if you cancel.
+            </div>
+            <div className="rowInline" style={{ justifyContent: "flex-end" }}>
+              <button className="btn" onClick={() => setImportReview(null)}>
+                Cancel
+              </button>
+              <button
+                className="btnPrimary"
+                onClick={() => {
+                  replaceTree(importReview.nodes);
+                  setImportReview(null);
+                }}
+              >
+                🔧 Repair and import
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Template wizard */}
+      {wizard && (
+        <div className="modalBackdrop" onClick={() => setWizard(null)}>
+          <div className="modal" role="dialog" aria-modal="true" aria-labelledby="wizard-title" onClick={(e) => e.stopPropagation()}>
+            <div className="panelTitle" id="wizard-title">
+              🧩 {wizard.template.name}
+            </div>
+            <div className="hint">
+              {wizard.mode === "merge" ? `Will be merged into ${nodes[mergeTarget]?.name}.` : "Replaces the current tree."}
+            </div>
+            {wizard.params.map((p) => {
+              const value = wizard.values[p.key];
+              const label = p.label || p.key;
+              if (p.type === "boolean") {
+                return (
+                  <label key={p.key} className="rowInline">
+                    <input
+                      type="checkbox"
+                      checked={value ?? !!p.default}
+                      onChange={(e) => setWizardValue(p.key, e.target.checked)}
+                    />
+                    {label}
+                  </label>
+                );
+              }
+              return (
+                <div key={p.key}>
+                  <label className="label">{label}</label>
+                  {p.type === "choice" ? (
+                    <select
+                      className="input"
+                      value={value ?? p.default ?? p.options?.[0] ?? ""}
+                      onChange={(e) => setWizardValue(p.key, e.target.value)}
+                    >
+                      {(p.options || []).map((o) => (
+                        <option key={o} value={o}>
+                          {o}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      className="input"
+                      value={value ?? ""}
+                      onChange={(e) => setWizardValue(p.key, e.target.value)}
+                      placeholder={resolveParamValues(wizard.params, wizard.values)[p.key]}
+                    />
+                  )}
+                </div>
+              );
+            })}
+            <pre className="pre">
+              {unicodeTree(
+                buildFromNested(instantiateTemplate(wizard.template.tree, resolveParamValues(wizard.params, wizard.values))),
+                ROOT_ID
+              )}
+            </pre>
+            <div className="rowInline" style={{ justifyContent: "flex-end" }}>
+              <button className="btn" onClick={() => setWizard(null)}>
+                Cancel
+              </button>
+              <button className="btnPrimary" onClick={generateFromWizard}>
+                ✨ Generate
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Context menu */}
       {ctx.open && (
         <div className="ctxMenu" style={{ left: ctx.x, top: ctx.y }}>
           <div className="ctxTitle">
-            {ctxTarget ? `${icon(ctxTarget.kind)} ${ctxTarget.name}` : "Actions"}
+            {ctxTargets.length > 1
+              ? `📦 ${ctxTargets.length} selected items`
+              : ctxTarget
+                ? withIcon(ctxTarget, ctxTarget.name, iconTheme)
+                : "Actions"}
           </div>
 
           <button className="ctxItem" onClick={() => ctxAdd("folder")}>
@@ -1168,13 +3048,53 @@ export default function App() {
 
           <div className="ctxSep" />
 
-          <button className="ctxItem" onClick={ctxRename}>
-            ✏️ Rename
+          {canMoveSelectionHere && (
+            <button className="ctxItem" onClick={ctxMoveSelectionHere}>
+              📥 Move {selectedIds.length > 1 ? `${selectedIds.length} selected items` : "selected item"} here
+            </button>
+          )}
+
+          {ctxTargets.length === 1 && (
+            <button className="ctxItem" onClick={ctxRename}>
+              ✏️ Rename
+            </button>
+          )}
+
+          {ctxTarget?.kind === "folder" && (
+            <>
+              <button className="ctxItem" onClick={() => ctxSort(false)}>
+                🔤 Sort contents
+              </button>
+              <button className="ctxItem" onClick={() => ctxSort(true)}>
+                🔤 Sort contents and subfolders
+              </button>
+            </>
+          )}
+
+          <div className="ctxSep" />
+
+          {ctx.targetId !== ROOT_ID && (
+            <button className="ctxItem" onClick={() => ctxCopy(true)}>
+              ✂️ Cut
+            </button>
+          )}
+          <button className="ctxItem" onClick={() => ctxCopy(false)}>
+            📄 Copy
           </button>
+          <button className="ctxItem" onClick={ctxPaste}>
+            📋 Paste{clipboard?.length ? ` (${clipboard.length} item${clipboard.length > 1 ? "s" : ""})` : ""}
+          </button>
+          {ctx.targetId !== ROOT_ID && (
+            <button className="ctxItem" onClick={ctxDuplicate}>
+              ⧉ Duplicate
+            </button>
+          )}
+
+          <div className="ctxSep" />
 
           {ctx.targetId !== ROOT_ID && (
             <button className="ctxItem ctxDanger" onClick={ctxDelete}>
-              🗑️ Delete
+              🗑️ Delete{ctxTargets.length > 1 ? ` ${ctxTargets.length} items` : ""}
             </button>
           )}
 
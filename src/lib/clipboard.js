@@ -0,0 +1,97 @@
+// Copy and paste of subtrees.
+import { checkName } from "./names.js";
+import { parseTextTreeItems, unicodeTree } from "./textTree.js";
+import { ROOT_ID, clone, insertNested, toNested, validateStructure, topLevelIds } from "./tree.js";
+
+// Copied subtrees travel as nested JSON (lossless) plus a text tree for pasting anywhere else.
+export const CLIPBOARD_JSON_TYPE = "application/json";
+
+export function clipboardPayload(nodes, ids) {
+  const top = ids.includes(ROOT_ID) ? [ROOT_ID] : topLevelIds(nodes, ids);
+  const items = top.map((id) => toNested(nodes, id));
+  return {
+    items,
+    json: JSON.stringify(items.length === 1 ? items[0] : items, null, 2),
+    text: top.map((id) => unicodeTree(nodes, id)).join("\n"),
+  };
+}
+
+// An entry in the nested shape toNested writes, children included.
+function isNestedItem(c) {
+  if (!c || typeof c !== "object" || typeof c.name !== "string" || !c.name) return false;
+  if (c.kind !== undefined && c.kind !== "file" && c.kind !== "folder") return false;
+  return c.children === undefined || (Array.isArray(c.children) && c.children.every(isNestedItem));
+}
+
+// Accepts our own JSON, a nested or flat structure.json, or a text tree whose every name
+// is clean (see checkName). Anything else, like a copied sentence, gives [].
+export function parseClipboardItems(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return [];
+
+  if (/^[[{]/.test(trimmed)) {
+    let data = null;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      // not JSON after all, e.g. "[draft] notes.md"
+    }
+    if (Array.isArray(data)) return data.every(isNestedItem) ? data : [];
+    if (data?.nodes && typeof data.nodes === "object") {
+      try {
+        return [toNested(validateStructure(data).nodes, ROOT_ID)];
+      } catch {
+        return [];
+      }
+    }
+    if (data && typeof data === "object") return isNestedItem(data) ? [data] : [];
+  }
+
+  const items = parseTextTreeItems(trimmed);
+  const clean = (c) => checkName(c.name).length === 0 && (c.children || []).every(clean);
+  return items.every(clean) ? items : [];
+}
+
+// `name`, or "name copy", "name copy 2"… (before a file's extension) when a sibling has it.
+export function uniqueName(name, kind, taken) {
+  if (!taken.has(name)) return name;
+  const dot = kind === "file" ? name.lastIndexOf(".") : -1;
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : "";
+  for (let i = 1; ; i++) {
+    const candidate = `${stem} copy${i > 1 ? ` ${i}` : ""}${ext}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+// Inserts copies of `items` into a target folder, or right after a target file.
+export function pasteItems(nodes, items, targetId) {
+  const copy = clone(nodes);
+  const target = copy[targetId] || copy[ROOT_ID];
+  const parent = target.kind === "folder" ? target : copy[target.parent];
+  const at = target.kind === "folder" ? parent.children.length : parent.children.indexOf(target.id) + 1;
+
+  const taken = new Set(parent.children.map((cid) => copy[cid].name));
+  const named = items.map((item) => {
+    const name = uniqueName(item.name || "untitled", item.kind || "folder", taken);
+    taken.add(name);
+    return { ...item, name };
+  });
+
+  const ids = insertNested(copy, parent.id, named, at);
+  parent.isOpen = true;
+  return { nodes: copy, ids };
+}
+
+// Copies each subtree in place, right after its original.
+export function duplicateNodes(nodes, ids) {
+  const copy = clone(nodes);
+  const created = [];
+  topLevelIds(nodes, ids).forEach((id) => {
+    const parent = copy[copy[id].parent];
+    const taken = new Set(parent.children.map((cid) => copy[cid].name));
+    const item = { ...toNested(copy, id), name: uniqueName(copy[id].name, copy[id].kind, taken) };
+    created.push(...insertNested(copy, parent.id, [item], parent.children.indexOf(id) + 1));
+  });
+  return { nodes: copy, ids: created };
+}
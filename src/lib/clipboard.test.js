@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { clipboardPayload, duplicateNodes, parseClipboardItems, pasteItems, uniqueName } from "./clipboard.js";
+import { ROOT_ID, buildFromNested, toNested } from "./tree.js";
+
+const nodes = buildFromNested({
+  name: "app",
+  kind: "folder",
+  children: [
+    { name: "src", kind: "folder", children: [{ name: "main.js", kind: "file" }] },
+    { name: "a.txt", kind: "file" },
+  ],
+});
+const [src, a] = nodes[ROOT_ID].children;
+const names = (map, id = ROOT_ID) => map[id].children.map((cid) => map[cid].name);
+
+describe("clipboardPayload", () => {
+  it("carries the outermost picked subtrees as JSON and as a text tree", () => {
+    const [main] = nodes[src].children;
+    const payload = clipboardPayload(nodes, [main, src]);
+    expect(payload.items).toEqual([{ name: "src", kind: "folder", children: [{ name: "main.js", kind: "file" }] }]);
+    expect(JSON.parse(payload.json)).toEqual(payload.items[0]);
+    expect(payload.text).toBe("src\n└── main.js");
+    expect(JSON.parse(clipboardPayload(nodes, [a, src]).json)).toHaveLength(2);
+  });
+});
+
+describe("parseClipboardItems", () => {
+  it("reads back our own JSON, one item or several", () => {
+    const { json } = clipboardPayload(nodes, [src, a]);
+    expect(parseClipboardItems(json).map((c) => c.name)).toEqual(["src", "a.txt"]);
+    expect(parseClipboardItems('{"name":"x.md","kind":"file"}')).toEqual([{ name: "x.md", kind: "file" }]);
+  });
+
+  it("reads a flat structure.json and a clean text tree", () => {
+    const flat = JSON.stringify({ root_id: ROOT_ID, nodes });
+    expect(parseClipboardItems(flat)[0].name).toBe("app");
+    expect(parseClipboardItems("docs\n├── a.md\n└── b.md")[0].children).toHaveLength(2);
+  });
+
+  it("gives nothing for prose, broken JSON or JSON that is not a tree", () => {
+    ["", "Meeting at 3pm: bring notes.", '{"name": "a", ', '{"name":""}', '[{"name":"a","kind":"link"}]'].forEach((text) =>
+      expect(parseClipboardItems(text)).toEqual([])
+    );
+  });
+
+  it("treats bracketed text that isn't JSON as a name", () => {
+    expect(parseClipboardItems("[draft] notes.md")).toEqual([{ name: "[draft] notes.md", kind: "file" }]);
+  });
+});
+
+describe("uniqueName", () => {
+  it("adds a copy suffix before a file's extension", () => {
+    const taken = new Set(["a.txt", "a copy.txt", "src"]);
+    expect(uniqueName("b.txt", "file", taken)).toBe("b.txt");
+    expect(uniqueName("a.txt", "file", taken)).toBe("a copy 2.txt");
+    expect(uniqueName("src", "folder", taken)).toBe("src copy");
+  });
+});
+
+describe("pasteItems / duplicateNodes", () => {
+  it("pastes into a folder at the end, or after a file, renaming clashes", () => {
+    const items = [{ name: "a.txt", kind: "file" }, { name: "lib", kind: "folder", children: [] }];
+    const intoRoot = pasteItems(nodes, items, ROOT_ID);
+    expect(names(intoRoot.nodes)).toEqual(["src", "a.txt", "a copy.txt", "lib"]);
+    expect(intoRoot.ids.map((id) => intoRoot.nodes[id].name)).toEqual(["a copy.txt", "lib"]);
+
+    const afterFile = pasteItems(nodes, [{ name: "b.txt", kind: "file" }], nodes[src].children[0]);
+    expect(names(afterFile.nodes, src)).toEqual(["main.js", "b.txt"]);
+    expect(names(nodes, src)).toEqual(["main.js"]);
+  });
+
+  it("duplicates each subtree right after itself", () => {
+    const { nodes: out, ids } = duplicateNodes(nodes, [src]);
+    expect(names(out)).toEqual(["src", "src copy", "a.txt"]);
+    expect(toNested(out, ids[0]).children).toEqual([{ name: "main.js", kind: "file" }]);
+  });
+});
@@ -0,0 +1,205 @@
+// Structural diff between two trees.
+import { fileExtension } from "./sort.js";
+import { parseTextTree, TREE_CONNECTORS } from "./textTree.js";
+import { ROOT_ID, buildFromNested, validateStructure } from "./tree.js";
+import { parseYaml, yamlToNested } from "./yaml.js";
+
+export const DIFF_MARKS = { same: " ", added: "+", removed: "-", changed: "~" };
+
+// "src/utils/format.js"; "" for the root.
+function pathBelowRoot(nodes, id) {
+  const parts = [];
+  for (let cur = nodes[id]; cur?.parent; cur = nodes[cur.parent]) parts.unshift(cur.name);
+  return parts.join("/");
+}
+
+/**
+ * Pairs the nodes of two trees (Map beforeId -> afterId), in passes:
+ *   1. same id and kind (a duplicated project keeps its ids),
+ *   2. same name and kind under paired folders,
+ *   3. a kind + name found exactly once among the leftovers on each side (a move),
+ *   4. the only leftover of a kind under paired folders (a rename; files keep their extension),
+ * repeating 2 and 4 until nothing else pairs up.
+ */
+function pairNodes(before, after) {
+  const pairs = new Map([[ROOT_ID, ROOT_ID]]);
+  const taken = new Set([ROOT_ID]); // paired after ids
+  const pair = (b, a) => {
+    pairs.set(b, a);
+    taken.add(a);
+  };
+
+  Object.keys(before).forEach((id) => {
+    if (id !== ROOT_ID && after[id]?.kind === before[id].kind) pair(id, id);
+  });
+
+  // Map#forEach also visits pairs added along the way, so this walks down new pairs too.
+  function pairUnderFolders() {
+    let found = false;
+    pairs.forEach((a, b) => {
+      if (before[b].kind !== "folder") return;
+      before[b].children.forEach((bc) => {
+        if (pairs.has(bc)) return;
+        const match = after[a].children.find(
+          (ac) => !taken.has(ac) && after[ac].name === before[bc].name && after[ac].kind === before[bc].kind
+        );
+        if (match) {
+          pair(bc, match);
+          found = true;
+        }
+      });
+    });
+    return found;
+  }
+
+  function pairMoves() {
+    const key = (n) => `${n.kind}:${n.name}`;
+    const index = (nodes, isFree) => {
+      const byKey = new Map();
+      Object.keys(nodes).forEach((id) => {
+        if (!isFree(id)) return;
+        const k = key(nodes[id]);
+        byKey.set(k, byKey.has(k) ? null : id); // null marks a name that isn't unique
+      });
+      return byKey;
+    };
+    const freeBefore = index(before, (id) => !pairs.has(id));
+    const freeAfter = index(after, (id) => !taken.has(id));
+    freeBefore.forEach((b, k) => {
+      const a = freeAfter.get(k);
+      if (b && a) pair(b, a);
+    });
+  }
+
+  function pairRenames() {
+    let found = false;
+    pairs.forEach((a, b) => {
+      if (before[b].kind !== "folder") return;
+      ["folder", "file"].forEach((kind) => {
+        const left = before[b].children.filter((c) => !pairs.has(c) && before[c].kind === kind);
+        const right = after[a].children.filter((c) => !taken.has(c) && after[c].kind === kind);
+        if (left.length !== 1 || right.length !== 1) return;
+        if (fileExtension(before[left[0]]) !== fileExtension(after[right[0]])) return;
+        pair(left[0], right[0]);
+        found = true;
+      });
+    });
+    return found;
+  }
+
+  pairUnderFolders();
+  pairMoves();
+  let more = true;
+  while (more) {
+    const renamed = pairRenames();
+    more = pairUnderFolders() || renamed;
+  }
+  return pairs;
+}
+
+/**
+ * Merges two trees into one for display: the after tree, with removed entries
+ * listed under their old folder. Entries look like
+ *   {name, kind, status: "same"|"added"|"removed"|"changed", renamedFrom?, movedFrom?, children}
+ * and `counts` tallies added / removed / renamed / moved.
+ */
+export function diffTrees(before, after) {
+  const pairs = pairNodes(before, after);
+  const partner = new Map([...pairs].map(([b, a]) => [a, b]));
+  const counts = { added: 0, removed: 0, renamed: 0, moved: 0 };
+
+  function removed(id) {
+    const n = before[id];
+    counts.removed += 1;
+    const children = (n.children || []).filter((c) => !pairs.has(c)).map(removed);
+    return { name: n.name, kind: n.kind, status: "removed", children };
+  }
+
+  function merged(id) {
+    const n = after[id];
+    const entry = { name: n.name, kind: n.kind, status: "same", children: (n.children || []).map(merged) };
+    const b = partner.get(id);
+    if (!b) {
+      entry.status = "added";
+      counts.added += 1;
+      return entry;
+    }
+
+    if (before[b].name !== n.name) {
+      entry.renamedFrom = before[b].name;
+      counts.renamed += 1;
+    }
+    if (id !== ROOT_ID && pairs.get(before[b].parent) !== n.parent) {
+      entry.movedFrom = pathBelowRoot(before, b);
+      counts.moved += 1;
+    }
+    if (entry.renamedFrom || entry.movedFrom) entry.status = "changed";
+    entry.children.push(...(before[b].children || []).filter((c) => !pairs.has(c)).map(removed));
+    return entry;
+  }
+
+  return { tree: merged(ROOT_ID), counts };
+}
+
+// Rows {entry, prefix} in display order; prefix holds the tree connectors.
+export function diffRows(tree) {
+  const { tee, last, pipe, space } = TREE_CONNECTORS.unicode;
+  const rows = [{ entry: tree, prefix: "" }];
+  function walk(entry, prefix) {
+    entry.children.forEach((child, idx) => {
+      const isLast = idx === entry.children.length - 1;
+      rows.push({ entry: child, prefix: prefix + (isLast ? last : tee) });
+      walk(child, prefix + (isLast ? space : pipe));
+    });
+  }
+  walk(tree, "");
+  return rows;
+}
+
+export function diffNote(entry) {
+  return [entry.renamedFrom && `renamed from ${entry.renamedFrom}`, entry.movedFrom && `moved from ${entry.movedFrom}`]
+    .filter(Boolean)
+    .join(", ");
+}
+
+// tree.txt-style lines with a diff mark in front: + added, - removed, ~ renamed/moved.
+export function diffText(diff) {
+  return diffRows(diff.tree)
+    .map(({ entry, prefix }) => {
+      const note = diffNote(entry);
+      const name = entry.name + (entry.kind === "folder" ? "/" : "");
+      return `${DIFF_MARKS[entry.status]} ${prefix}${name}${note ? `  (${note})` : ""}`;
+    })
+    .join("\n");
+}
+
+export function diffSummary(counts) {
+  const parts = Object.entries(counts)
+    .filter(([, n]) => n)
+    .map(([what, n]) => `${n} ${what}`);
+  return parts.length ? parts.join(", ") : "no changes";
+}
+
+export function diffMarkdown(diff, beforeLabel, afterLabel) {
+  return (
+    `**Structure changes** (${beforeLabel} → ${afterLabel}): ${diffSummary(diff.counts)}\n\n` +
+    "```diff\n" +
+    diffText(diff) +
+    "\n```\n"
+  );
+}
+
+// Nodes from any file "Import file" accepts; problems in a flat structure.json are repaired quietly.
+export function structureFromText(text, ext) {
+  if (ext === "yaml" || ext === "yml") return buildFromNested(yamlToNested(parseYaml(text)));
+  if (ext === "txt") {
+    const nested = parseTextTree(text, { outline: true });
+    if (!nested) throw new Error("the file is empty");
+    return buildFromNested(nested);
+  }
+
+  const data = JSON.parse(text);
+  if (data?.nodes && typeof data.nodes === "object") return validateStructure(data).nodes;
+  if (data && (data.kind === "folder" || !data.kind)) return buildFromNested(data);
+  throw new Error("unrecognized JSON format");
+}
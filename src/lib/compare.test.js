@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { buildFromNested, clone } from "./tree.js";
+import { diffMarkdown, diffSummary, diffText, diffTrees, structureFromText } from "./compare.js";
+
+const before = buildFromNested({
+  name: "app",
+  kind: "folder",
+  children: [
+    { name: "src", kind: "folder", children: [{ name: "main.js", kind: "file" }, { name: "util.js", kind: "file" }] },
+    { name: "old.txt", kind: "file" },
+  ],
+});
+
+const byName = (nodes, name) => Object.values(nodes).find((n) => n.name === name).id;
+
+describe("diffTrees", () => {
+  it("reports no changes for the same tree", () => {
+    const diff = diffTrees(before, clone(before));
+    expect(diff.counts).toEqual({ added: 0, removed: 0, renamed: 0, moved: 0 });
+    expect(diffSummary(diff.counts)).toBe("no changes");
+  });
+
+  it("pairs by id: renames, moves, additions and removals", () => {
+    const after = clone(before);
+    const src = byName(after, "src");
+    const util = byName(after, "util.js");
+    after[util].name = "helpers.js";
+    after[src].children = after[src].children.filter((id) => id !== util);
+    after.root.children.push(util);
+    after[util].parent = "root";
+    after.root.children = after.root.children.filter((id) => id !== byName(after, "old.txt"));
+    delete after[byName(after, "old.txt")];
+    after.new1 = { id: "new1", kind: "file", name: "new.md", parent: src };
+    after[src].children.push("new1");
+
+    const diff = diffTrees(before, after);
+    expect(diff.counts).toEqual({ added: 1, removed: 1, renamed: 1, moved: 1 });
+    expect(diffText(diff).split("\n")).toEqual([
+      "  app/",
+      "  ├── src/",
+      "  │   ├── main.js",
+      "+ │   └── new.md",
+      "~ ├── helpers.js  (renamed from util.js, moved from src/util.js)",
+      "- └── old.txt",
+    ]);
+    expect(diffSummary(diff.counts)).toBe("1 added, 1 removed, 1 renamed, 1 moved");
+    expect(diffMarkdown(diff, "v1", "v2")).toBe(
+      "**Structure changes** (v1 → v2): 1 added, 1 removed, 1 renamed, 1 moved\n\n```diff\n" + diffText(diff) + "\n```\n"
+    );
+  });
+
+  it("pairs trees with unrelated ids by path, and a lone leftover sibling as a rename", () => {
+    const text = "app/\n  src/\n    main.js\n    util.js\n  docs/\n    a.md\n  new.txt";
+    const diff = diffTrees(before, structureFromText(text, "txt"));
+    expect(diff.counts).toEqual({ added: 2, removed: 0, renamed: 1, moved: 0 });
+    expect(diffText(diff)).toContain("~ └── new.txt  (renamed from old.txt)");
+  });
+});
+
+describe("structureFromText", () => {
+  it("reads every format Import file accepts", () => {
+    const names = (nodes) => nodes.root.children.map((id) => nodes[id].name);
+    expect(names(structureFromText("app/:\n  - a.txt\n", "yaml"))).toEqual(["a.txt"]);
+    expect(names(structureFromText('{"name":"app","children":[{"name":"a.txt","kind":"file"}]}', "json"))).toEqual(["a.txt"]);
+    expect(() => structureFromText("", "txt")).toThrow("the file is empty");
+    expect(() => structureFromText('{"kind":"file"}', "json")).toThrow("unrecognized JSON format");
+  });
+});
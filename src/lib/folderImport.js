@@ -0,0 +1,204 @@
+// Importing a local folder: .gitignore-style rules and the two directory walks.
+import { ROOT_ID, defaultState, ensureFolder, ensureFile } from "./tree.js";
+
+export const DEFAULT_IGNORES = "node_modules\n.git\ndist";
+
+export function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+// Glob -> regex source: `*` and `?` stay within a path segment, `**` crosses them.
+export function globToRegexSource(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 2;
+        } else {
+          re += ".*";
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[" && glob.indexOf("]", i + 2) > i) {
+      const close = glob.indexOf("]", i + 2);
+      let cls = glob.slice(i + 1, close).replace(/\\/g, "\\\\");
+      if (cls[0] === "!") cls = "^" + cls.slice(1);
+      re += `[${cls}]`;
+      i = close;
+    } else if (c === "\\" && i + 1 < glob.length) {
+      re += escapeRegex(glob[++i]);
+    } else {
+      re += escapeRegex(c);
+    }
+  }
+  return re;
+}
+
+/**
+ * Compiles .gitignore-style text into rules:
+ *   {regex, negate:boolean, dirOnly:boolean}
+ * Patterns containing a "/" are anchored to the ignore file's folder,
+ * everything else matches at any depth.
+ */
+export function compileIgnoreRules(text) {
+  const rules = [];
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((raw) => {
+      let line = raw.trimEnd();
+      if (!line || line.startsWith("#")) return;
+
+      const negate = line.startsWith("!");
+      if (negate) line = line.slice(1);
+      if (line.startsWith("\\#") || line.startsWith("\\!")) line = line.slice(1);
+
+      const dirOnly = line.endsWith("/");
+      line = line.replace(/\/+$/, "");
+      const anchored = line.includes("/");
+      line = line.replace(/^\/+/, "");
+      if (!line) return;
+
+      const regex = new RegExp((anchored ? "^" : "^(?:.*/)?") + globToRegexSource(line) + "$");
+      rules.push({ regex, negate, dirOnly });
+    });
+  return rules;
+}
+
+// Last matching rule wins; undefined when no rule matches.
+function matchIgnoreRules(rules, relPath, isDir) {
+  let result;
+  rules.forEach((r) => {
+    if (r.dirOnly && !isDir) return;
+    if (r.regex.test(relPath)) result = !r.negate;
+  });
+  return result;
+}
+
+/**
+ * Decides whether a path (relative to the picked folder) is excluded.
+ * `gitignores` is a list of {base, rules} ordered parent-first; the
+ * user-editable list always has the final say.
+ */
+export function isPathIgnored(relPath, isDir, { userRules, gitignores }) {
+  const user = matchIgnoreRules(userRules, relPath, isDir);
+  if (user !== undefined) return user;
+
+  let ignored = false;
+  gitignores.forEach(({ base, rules }) => {
+    if (base && !relPath.startsWith(base + "/")) return;
+    const r = matchIgnoreRules(rules, base ? relPath.slice(base.length + 1) : relPath, isDir);
+    if (r !== undefined) ignored = r;
+  });
+  return ignored;
+}
+
+// Folders first, then by name, comparing segment by segment.
+function comparePathEntries(a, b) {
+  const as = a.path.split("/");
+  const bs = b.path.split("/");
+  for (let i = 0; i < Math.min(as.length, bs.length); i++) {
+    if (as[i] === bs[i]) continue;
+    const aDir = i < as.length - 1 || a.kind === "folder";
+    const bDir = i < bs.length - 1 || b.kind === "folder";
+    if (aDir !== bDir) return aDir ? -1 : 1;
+    return as[i].localeCompare(bs[i]);
+  }
+  return as.length - bs.length;
+}
+
+/**
+ * Builds a node map from slash-separated paths:
+ *   [{path:"src/main.js", kind:"file"}, {path:"public", kind:"folder"}]
+ * Missing intermediate folders are created on the way.
+ */
+export function buildFromPaths(rootName, entries) {
+  const nodes = defaultState();
+  nodes[ROOT_ID].name = rootName || "PROJECT";
+
+  entries
+    .slice()
+    .sort(comparePathEntries)
+    .forEach(({ path, kind }) => {
+      const parts = path.split("/").filter(Boolean);
+      if (!parts.length) return;
+      const last = kind === "folder" ? parts.length : parts.length - 1;
+      let parentId = ROOT_ID;
+      for (let i = 0; i < last; i++) parentId = ensureFolder(nodes, parts[i], parentId);
+      if (kind !== "folder") ensureFile(nodes, parts[parts.length - 1], parentId);
+    });
+
+  return nodes;
+}
+
+// File System Access API walk: ignored folders are never entered.
+export async function collectFromDirectoryHandle(dirHandle, { userRules, honorGitignore, maxDepth }) {
+  const entries = [];
+  const gitignores = [];
+
+  async function walk(handle, base, depth) {
+    const children = [];
+    for await (const child of handle.values()) children.push(child);
+
+    if (honorGitignore) {
+      const gi = children.find((c) => c.kind === "file" && c.name === ".gitignore");
+      if (gi) {
+        const text = await (await gi.getFile()).text();
+        gitignores.push({ base, rules: compileIgnoreRules(text) });
+      }
+    }
+
+    for (const child of children) {
+      const path = base ? `${base}/${child.name}` : child.name;
+      const isDir = child.kind === "directory";
+      if (isPathIgnored(path, isDir, { userRules, gitignores })) continue;
+
+      entries.push({ path, kind: isDir ? "folder" : "file" });
+      if (isDir && depth < maxDepth) await walk(child, path, depth + 1);
+    }
+  }
+
+  await walk(dirHandle, "", 1);
+  return { rootName: dirHandle.name, entries };
+}
+
+// <input webkitdirectory> fallback: only files are listed, so empty folders are lost.
+export async function collectFromFileList(fileList, { userRules, honorGitignore, maxDepth }) {
+  const files = Array.from(fileList);
+  if (!files.length) return null;
+
+  const rootName = files[0].webkitRelativePath.split("/")[0];
+  const items = files.map((file) => ({ file, path: file.webkitRelativePath.split("/").slice(1).join("/") }));
+
+  const gitignores = [];
+  if (honorGitignore) {
+    const giItems = items
+      .filter((it) => it.path === ".gitignore" || it.path.endsWith("/.gitignore"))
+      .sort((a, b) => a.path.split("/").length - b.path.split("/").length);
+    for (const it of giItems) {
+      const base = it.path.split("/").slice(0, -1).join("/");
+      gitignores.push({ base, rules: compileIgnoreRules(await it.file.text()) });
+    }
+  }
+
+  const ctx = { userRules, gitignores };
+  const entries = [];
+  items.forEach(({ path }) => {
+    const parts = path.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      if (isPathIgnored(parts.slice(0, i).join("/"), true, ctx)) return;
+    }
+    if (isPathIgnored(path, false, ctx)) return;
+
+    if (parts.length > maxDepth) entries.push({ path: parts.slice(0, maxDepth).join("/"), kind: "folder" });
+    else entries.push({ path, kind: "file" });
+  });
+
+  return { rootName, entries };
+}
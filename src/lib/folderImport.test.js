@@ -0,0 +1,161 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_IGNORES,
+  buildFromPaths,
+  collectFromDirectoryHandle,
+  collectFromFileList,
+  compileIgnoreRules,
+  isPathIgnored,
+} from "./folderImport.js";
+import { ROOT_ID, toNested } from "./tree.js";
+
+const gitignore = (text, base = "") => ({ userRules: [], gitignores: [{ base, rules: compileIgnoreRules(text) }] });
+
+describe("compileIgnoreRules / isPathIgnored", () => {
+  it("matches unanchored patterns at any depth and anchored ones from the base only", () => {
+    const ctx = gitignore("*.log\n/build\ndocs/*.md");
+    expect(isPathIgnored("a.log", false, ctx)).toBe(true);
+    expect(isPathIgnored("src/deep/a.log", false, ctx)).toBe(true);
+    expect(isPathIgnored("build", true, ctx)).toBe(true);
+    expect(isPathIgnored("src/build", true, ctx)).toBe(false);
+    expect(isPathIgnored("docs/a.md", false, ctx)).toBe(true);
+    expect(isPathIgnored("docs/sub/a.md", false, ctx)).toBe(false);
+    expect(isPathIgnored("src/docs/a.md", false, ctx)).toBe(false);
+  });
+
+  it("lets a later negation re-include a path, last match winning", () => {
+    const ctx = gitignore("*.log\n!keep.log\n!src/*.log\nsrc/noisy.log");
+    expect(isPathIgnored("other.log", false, ctx)).toBe(true);
+    expect(isPathIgnored("x/keep.log", false, ctx)).toBe(false);
+    expect(isPathIgnored("src/a.log", false, ctx)).toBe(false);
+    expect(isPathIgnored("src/noisy.log", false, ctx)).toBe(true);
+  });
+
+  it("applies trailing-slash patterns to folders only", () => {
+    const ctx = gitignore("tmp/");
+    expect(isPathIgnored("tmp", true, ctx)).toBe(true);
+    expect(isPathIgnored("a/tmp", true, ctx)).toBe(true);
+    expect(isPathIgnored("tmp", false, ctx)).toBe(false);
+  });
+
+  it("understands **, ?, classes, comments and escapes", () => {
+    const ctx = gitignore("# comment\n\\#hash\n**/cache/**\nfile?.txt\n[ab].js\n[!x]y.css\n\\!bang");
+    expect(isPathIgnored("#hash", false, ctx)).toBe(true);
+    expect(isPathIgnored("# comment", false, ctx)).toBe(false);
+    expect(isPathIgnored("a/cache/b/c.txt", false, ctx)).toBe(true);
+    expect(isPathIgnored("file1.txt", false, ctx)).toBe(true);
+    expect(isPathIgnored("file12.txt", false, ctx)).toBe(false);
+    expect(isPathIgnored("a.js", false, ctx)).toBe(true);
+    expect(isPathIgnored("c.js", false, ctx)).toBe(false);
+    expect(isPathIgnored("zy.css", false, ctx)).toBe(true);
+    expect(isPathIgnored("xy.css", false, ctx)).toBe(false);
+    expect(isPathIgnored("!bang", false, ctx)).toBe(true);
+  });
+
+  it("scopes a nested .gitignore to its folder and gives the user list the final say", () => {
+    const ctx = {
+      userRules: compileIgnoreRules("!important.tmp"),
+      gitignores: [
+        { base: "", rules: compileIgnoreRules("*.tmp") },
+        { base: "pkg", rules: compileIgnoreRules("/out\n!keep.tmp") },
+      ],
+    };
+    expect(isPathIgnored("pkg/out", true, ctx)).toBe(true);
+    expect(isPathIgnored("out", true, ctx)).toBe(false);
+    expect(isPathIgnored("a.tmp", false, ctx)).toBe(true);
+    expect(isPathIgnored("pkg/keep.tmp", false, ctx)).toBe(false);
+    expect(isPathIgnored("important.tmp", false, ctx)).toBe(false);
+  });
+});
+
+describe("buildFromPaths", () => {
+  it("creates missing folders and sorts folders before files", () => {
+    const nodes = buildFromPaths("app", [
+      { path: "z.txt", kind: "file" },
+      { path: "src/lib/a.js", kind: "file" },
+      { path: "public", kind: "folder" },
+      { path: "src/main.js", kind: "file" },
+    ]);
+    expect(toNested(nodes, ROOT_ID)).toEqual({
+      name: "app",
+      kind: "folder",
+      children: [
+        { name: "public", kind: "folder", children: [] },
+        {
+          name: "src",
+          kind: "folder",
+          children: [
+            { name: "lib", kind: "folder", children: [{ name: "a.js", kind: "file" }] },
+            { name: "main.js", kind: "file" },
+          ],
+        },
+        { name: "z.txt", kind: "file" },
+      ],
+    });
+  });
+});
+
+const fakeFile = (path, content = "") => ({ webkitRelativePath: path, text: async () => content });
+
+function fakeDir(name, tree) {
+  return {
+    kind: "directory",
+    name,
+    async *values() {
+      for (const [child, value] of Object.entries(tree)) {
+        if (typeof value === "string") yield { kind: "file", name: child, getFile: async () => ({ text: async () => value }) };
+        else yield fakeDir(child, value);
+      }
+    },
+  };
+}
+
+describe("collectFromFileList", () => {
+  it("honours .gitignore files and the user list, and folds paths past maxDepth", async () => {
+    const files = [
+      fakeFile("app/.gitignore", "*.log\n"),
+      fakeFile("app/a.log"),
+      fakeFile("app/src/main.js"),
+      fakeFile("app/node_modules/x/index.js"),
+      fakeFile("app/src/deep/er/file.js"),
+    ];
+    const opts = { userRules: compileIgnoreRules(DEFAULT_IGNORES), honorGitignore: true, maxDepth: 2 };
+    expect(await collectFromFileList(files, opts)).toEqual({
+      rootName: "app",
+      entries: [
+        { path: ".gitignore", kind: "file" },
+        { path: "src/main.js", kind: "file" },
+        { path: "src/deep", kind: "folder" },
+      ],
+    });
+    const all = await collectFromFileList(files, { ...opts, honorGitignore: false });
+    expect(all.entries.map((e) => e.path)).toContain("a.log");
+  });
+
+  it("gives null for an empty selection", async () => {
+    expect(await collectFromFileList([], { userRules: [], honorGitignore: true, maxDepth: 5 })).toBeNull();
+  });
+});
+
+describe("collectFromDirectoryHandle", () => {
+  it("keeps empty folders and never enters ignored ones", async () => {
+    const dir = fakeDir("app", {
+      ".gitignore": "secret/\n",
+      empty: {},
+      secret: { "key.pem": "" },
+      node_modules: { x: { "index.js": "" } },
+      src: { "main.js": "", more: { "a.js": "" } },
+    });
+    const opts = { userRules: compileIgnoreRules(DEFAULT_IGNORES), honorGitignore: true, maxDepth: 2 };
+    expect(await collectFromDirectoryHandle(dir, opts)).toEqual({
+      rootName: "app",
+      entries: [
+        { path: ".gitignore", kind: "file" },
+        { path: "empty", kind: "folder" },
+        { path: "src", kind: "folder" },
+        { path: "src/main.js", kind: "file" },
+        { path: "src/more", kind: "folder" },
+      ],
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// Emoji icons for folders and files, by theme.
+import { fileExtension } from "./sort.js";
+
+export const ICON_THEMES = {
+  detailed: "By file type",
+  classic: "Classic 📁 📄",
+  none: "No icons",
+};
+export const DEFAULT_ICON_THEME = "detailed";
+
+const FOLDER_ICONS = {
+  src: "🧩",
+  lib: "📚",
+  components: "🧱",
+  test: "🧪",
+  tests: "🧪",
+  __tests__: "🧪",
+  spec: "🧪",
+  e2e: "🧪",
+  docs: "📚",
+  doc: "📚",
+  ".github": "🐙",
+  ".vscode": "🧰",
+  ".git": "🔧",
+  node_modules: "📦",
+  vendor: "📦",
+  assets: "🎨",
+  styles: "🎨",
+  public: "🌐",
+  static: "🌐",
+  images: "🖼️",
+  img: "🖼️",
+  scripts: "🛠️",
+  bin: "🛠️",
+  config: "⚙️",
+  dist: "🏗️",
+  build: "🏗️",
+  out: "🏗️",
+};
+
+const FILE_NAME_ICONS = {
+  "package.json": "📦",
+  "package-lock.json": "🔒",
+  "pnpm-lock.yaml": "🔒",
+  "bun.lockb": "🔒",
+  "docker-compose.yml": "🐳",
+  "docker-compose.yaml": "🐳",
+  "compose.yml": "🐳",
+  "compose.yaml": "🐳",
+  makefile: "🛠️",
+  ".gitignore": "🙈",
+  ".dockerignore": "🙈",
+};
+
+const EXTENSION_ICONS = {
+  js: "🟨",
+  mjs: "🟨",
+  cjs: "🟨",
+  jsx: "⚛️",
+  ts: "🔷",
+  mts: "🔷",
+  cts: "🔷",
+  tsx: "⚛️",
+  vue: "💚",
+  svelte: "🧡",
+  py: "🐍",
+  ipynb: "📓",
+  rb: "💎",
+  rs: "🦀",
+  go: "🐹",
+  java: "☕",
+  kt: "☕",
+  php: "🐘",
+  swift: "🐦",
+  c: "🔧",
+  h: "🔧",
+  cpp: "🔧",
+  hpp: "🔧",
+  cs: "🔧",
+  sh: "💻",
+  bash: "💻",
+  zsh: "💻",
+  ps1: "💻",
+  bat: "💻",
+  md: "📝",
+  mdx: "📝",
+  txt: "📄",
+  pdf: "📕",
+  json: "🧾",
+  yaml: "⚙️",
+  yml: "⚙️",
+  toml: "⚙️",
+  ini: "⚙️",
+  xml: "🧾",
+  html: "🌐",
+  css: "🎨",
+  scss: "🎨",
+  sass: "🎨",
+  less: "🎨",
+  png: "🖼️",
+  jpg: "🖼️",
+  jpeg: "🖼️",
+  gif: "🖼️",
+  svg: "🖼️",
+  webp: "🖼️",
+  avif: "🖼️",
+  ico: "🖼️",
+  bmp: "🖼️",
+  mp3: "🎵",
+  wav: "🎵",
+  ogg: "🎵",
+  flac: "🎵",
+  mp4: "🎬",
+  mov: "🎬",
+  webm: "🎬",
+  ttf: "🔤",
+  otf: "🔤",
+  woff: "🔤",
+  woff2: "🔤",
+  csv: "📊",
+  xls: "📊",
+  xlsx: "📊",
+  sql: "🗄️",
+  db: "🗄️",
+  sqlite: "🗄️",
+  zip: "🗜️",
+  gz: "🗜️",
+  tar: "🗜️",
+  "7z": "🗜️",
+  lock: "🔒",
+  log: "📜",
+};
+
+// "" in the "none" theme, so callers should only add a separator when there is an icon.
+export function icon(node, theme = DEFAULT_ICON_THEME) {
+  if (!node || theme === "none") return "";
+  const isFolder = node.kind === "folder";
+  if (theme === "classic") return isFolder ? "📁" : "📄";
+
+  const name = node.name.toLowerCase();
+  if (isFolder) return FOLDER_ICONS[name] || "📁";
+  if (FILE_NAME_ICONS[name]) return FILE_NAME_ICONS[name];
+  if (/^readme(\.|$)/.test(name)) return "📖";
+  if (/^licen[cs]e(\.|$)/.test(name)) return "⚖️";
+  if (/^dockerfile(\.|$)/.test(name)) return "🐳";
+  if (/^\.env(\.|$)/.test(name)) return "🔑";
+  const byExtension = EXTENSION_ICONS[fileExtension(node)];
+  if (byExtension) return byExtension;
+  return name.startsWith(".") ? "⚙️" : "📄";
+}
+
+export function withIcon(node, text, theme) {
+  const ic = icon(node, theme);
+  return ic ? `${ic} ${text}` : text;
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { icon, withIcon } from "./icons.js";
+
+const file = (name) => ({ name, kind: "file" });
+const folder = (name) => ({ name, kind: "folder" });
+
+describe("icon", () => {
+  it("picks by folder name, file name, name pattern and extension, in that order", () => {
+    expect(icon(folder("SRC"))).toBe("🧩");
+    expect(icon(folder("misc"))).toBe("📁");
+    expect(icon(file("README.md"))).toBe("📖");
+    expect(icon(file("LICENCE"))).toBe("⚖️");
+    expect(icon(file("Dockerfile.dev"))).toBe("🐳");
+    expect(icon(file(".env.local"))).toBe("🔑");
+    expect(icon(file("yarn.LOCK"))).toBe("🔒");
+    expect(icon(file(".prettierrc"))).toBe("⚙️");
+    expect(icon(file("notes"))).toBe("📄");
+  });
+
+  it("follows the theme", () => {
+    expect(icon(file("a.sql"), "classic")).toBe("📄");
+    expect(icon(folder("src"), "classic")).toBe("📁");
+    expect(icon(folder("src"), "none")).toBe("");
+    expect(icon(undefined)).toBe("");
+  });
+});
+
+describe("withIcon", () => {
+  it("adds a separator only when there is an icon", () => {
+    expect(withIcon(folder("src"), "src/", "classic")).toBe("📁 src/");
+    expect(withIcon(folder("src"), "src/", "none")).toBe("src/");
+  });
+});
@@ -0,0 +1,25 @@
+// Markdown nested-list export.
+import { DEFAULT_ICON_THEME, withIcon } from "./icons.js";
+
+export function markdownTree(nodes, rootId, { iconTheme = DEFAULT_ICON_THEME } = {}) {
+  const root = nodes[rootId];
+  const lines = [`- **${root.name}**${root.description ? ` — ${root.description}` : ""}`];
+
+  function walk(parentId, indent) {
+    const pad = "  ".repeat(indent);
+    const children = nodes[parentId].children || [];
+    children.forEach((cid) => {
+      const c = nodes[cid];
+      const note = c.description ? ` — ${c.description}` : "";
+      if (c.kind === "folder") {
+        lines.push(`${pad}- ${withIcon(c, `**${c.name}**`, iconTheme)}${note}`);
+        walk(c.id, indent + 1);
+      } else {
+        lines.push(`${pad}- ${withIcon(c, c.name, iconTheme)}${note}`);
+      }
+    });
+  }
+
+  walk(rootId, 1);
+  return lines.join("\n");
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { markdownTree } from "./markdown.js";
+import { ROOT_ID, buildFromNested } from "./tree.js";
+
+const nodes = buildFromNested({
+  name: "app",
+  kind: "folder",
+  description: "the app",
+  children: [
+    { name: "src", kind: "folder", children: [{ name: "main.js", kind: "file", description: "entry point" }] },
+    { name: "README.md", kind: "file" },
+  ],
+});
+
+describe("markdownTree", () => {
+  it("writes a nested list with bold folders and descriptions after a dash", () => {
+    expect(markdownTree(nodes, ROOT_ID, { iconTheme: "none" })).toBe(
+      ["- **app** — the app", "  - **src**", "    - main.js — entry point", "  - README.md"].join("\n")
+    );
+  });
+
+  it("puts the theme's icons in front of everything but the root", () => {
+    expect(markdownTree(nodes, ROOT_ID, { iconTheme: "classic" }).split("\n")).toEqual([
+      "- **app** — the app",
+      "  - 📁 **src**",
+      "    - 📄 main.js — entry point",
+      "  - 📄 README.md",
+    ]);
+  });
+});
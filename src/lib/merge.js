@@ -0,0 +1,60 @@
+// Merging nested entries into an existing folder.
+import { uniqueName } from "./clipboard.js";
+import { clone, insertNested, removeSubtrees } from "./tree.js";
+
+export const MERGE_STRATEGIES = {
+  merge: "Merge folders, keep existing files",
+  skip: "Skip same-name entries",
+  rename: "Add same-name entries as “… copy”",
+  overwrite: "Overwrite same-name entries",
+};
+
+/**
+ * Inserts nested `items` into a folder; `strategy` decides what happens to an
+ * item whose name is already taken there:
+ *   merge     - folders merge recursively, any other clash keeps the existing entry
+ *   skip      - the item is left out
+ *   rename    - the item gets a " copy" suffix (see uniqueName)
+ *   overwrite - the existing entry and its subtree are replaced in place
+ * Returns {nodes, ids, counts}; ids are the top-level entries added or merged into.
+ */
+export function mergeItems(nodes, items, folderId, strategy) {
+  let copy = clone(nodes);
+  const counts = { added: 0, merged: 0, renamed: 0, replaced: 0, skipped: 0 };
+  const ids = [];
+
+  function mergeInto(parentId, list, top) {
+    list.forEach((item) => {
+      const kind = (item.kind || "folder") === "folder" ? "folder" : "file";
+      const name = item.name || "untitled";
+      const siblings = copy[parentId].children;
+      const clashId = siblings.find((cid) => copy[cid].name === name);
+      let created = [];
+
+      if (!clashId) {
+        created = insertNested(copy, parentId, [item]);
+        counts.added += 1;
+      } else if (strategy === "merge" && kind === "folder" && copy[clashId].kind === "folder") {
+        mergeInto(clashId, item.children || [], false);
+        created = [clashId];
+        counts.merged += 1;
+      } else if (strategy === "rename") {
+        const taken = new Set(siblings.map((cid) => copy[cid].name));
+        created = insertNested(copy, parentId, [{ ...item, name: uniqueName(name, kind, taken) }]);
+        counts.renamed += 1;
+      } else if (strategy === "overwrite") {
+        const at = siblings.indexOf(clashId);
+        copy = removeSubtrees(copy, [clashId]);
+        created = insertNested(copy, parentId, [item], at);
+        counts.replaced += 1;
+      } else {
+        counts.skipped += 1;
+      }
+      if (top) ids.push(...created);
+    });
+  }
+
+  mergeInto(folderId, items, true);
+  copy[folderId].isOpen = true;
+  return { nodes: copy, ids, counts };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { ROOT_ID, buildFromNested, toNested } from "./tree.js";
+import { mergeItems } from "./merge.js";
+
+const existing = () =>
+  buildFromNested({
+    name: "app",
+    kind: "folder",
+    children: [
+      { name: "src", kind: "folder", children: [{ name: "main.js", kind: "file" }] },
+      { name: "README.md", kind: "file", description: "old" },
+      { name: "z.txt", kind: "file" },
+    ],
+  });
+
+const incoming = [
+  { name: "src", kind: "folder", children: [{ name: "main.js", kind: "file" }, { name: "util.js", kind: "file" }] },
+  { name: "README.md", kind: "file", description: "new" },
+  { name: "docs", kind: "folder", children: [] },
+];
+
+const merged = (strategy) => {
+  const { nodes, ids, counts } = mergeItems(existing(), incoming, ROOT_ID, strategy);
+  return { tree: toNested(nodes, ROOT_ID), names: ids.map((id) => nodes[id].name), counts };
+};
+
+describe("mergeItems", () => {
+  it("merge: folders merge recursively, existing files stay", () => {
+    const { tree, names, counts } = merged("merge");
+    expect(tree.children.map((c) => c.name)).toEqual(["src", "README.md", "z.txt", "docs"]);
+    expect(tree.children[0].children.map((c) => c.name)).toEqual(["main.js", "util.js"]);
+    expect(tree.children[1].description).toBe("old");
+    expect(names).toEqual(["src", "docs"]);
+    expect(counts).toEqual({ added: 2, merged: 1, renamed: 0, replaced: 0, skipped: 2 });
+  });
+
+  it("skip: same-name entries are left out", () => {
+    const { tree, counts } = merged("skip");
+    expect(tree.children.map((c) => c.name)).toEqual(["src", "README.md", "z.txt", "docs"]);
+    expect(tree.children[0].children).toHaveLength(1);
+    expect(counts).toEqual({ added: 1, merged: 0, renamed: 0, replaced: 0, skipped: 2 });
+  });
+
+  it("rename: same-name entries get a copy suffix", () => {
+    const { tree, counts } = merged("rename");
+    expect(tree.children.map((c) => c.name)).toEqual(["src", "README.md", "z.txt", "src copy", "README copy.md", "docs"]);
+    expect(counts.renamed).toBe(2);
+  });
+
+  it("overwrite: same-name entries are replaced in place", () => {
+    const { tree, counts } = merged("overwrite");
+    expect(tree.children.map((c) => c.name)).toEqual(["src", "README.md", "z.txt", "docs"]);
+    expect(tree.children[0].children.map((c) => c.name)).toEqual(["main.js", "util.js"]);
+    expect(tree.children[1].description).toBe("new");
+    expect(counts).toEqual({ added: 1, merged: 0, renamed: 0, replaced: 2, skipped: 0 });
+  });
+
+  it("leaves the nodes it was given alone", () => {
+    const nodes = existing();
+    const snapshot = JSON.stringify(nodes);
+    mergeItems(nodes, incoming, ROOT_ID, "overwrite");
+    expect(JSON.stringify(nodes)).toBe(snapshot);
+  });
+});
@@ -0,0 +1,46 @@
+// Mermaid diagram source (flowchart or mindmap).
+import { DEFAULT_ICON_THEME, withIcon } from "./icons.js";
+
+export const MERMAID_SYNTAXES = { flowchart: "Flowchart", mindmap: "Mindmap" };
+export const DEFAULT_MERMAID_OPTIONS = { syntax: "flowchart", direction: "TD", maxDepth: 0, expandedOnly: false };
+
+// Mermaid entity codes (#35; etc.) keep quotes, markup and "#" from ending or breaking a label.
+export function mermaidText(s) {
+  return String(s)
+    .replace(/\p{Cc}/gu, " ")
+    .replace(/[#"<>&`]/g, (c) => `#${c.charCodeAt(0)};`);
+}
+
+// Walks in sibling order. maxDepth 0 means unlimited; folders whose contents are cut off
+// by the depth limit or by expandedOnly end in "…".
+export function mermaid(nodes, rootId, { iconTheme = DEFAULT_ICON_THEME, ...options } = {}) {
+  const { syntax, direction, maxDepth, expandedOnly } = { ...DEFAULT_MERMAID_OPTIONS, ...options };
+  const mindmap = syntax === "mindmap";
+  const lines = [mindmap ? "mindmap" : `flowchart ${direction === "LR" ? "LR" : "TD"}`];
+  const edges = [];
+  let count = 0;
+
+  function walk(id, depth, parentMid) {
+    const n = nodes[id];
+    const mid = `n${count++}`;
+    const children = n.kind === "folder" ? n.children || [] : [];
+    const showChildren = children.length > 0 && (!maxDepth || depth < maxDepth) && (!expandedOnly || n.isOpen || depth === 0);
+    const name = mermaidText(n.name) + (children.length && !showChildren ? " …" : "");
+    const label = withIcon(n, name, iconTheme);
+
+    if (mindmap) {
+      const text = label + (n.description ? ` — ${mermaidText(n.description)}` : "");
+      const shape = depth === 0 ? ["((", "))"] : n.kind === "folder" ? ["[", "]"] : ["(", ")"];
+      lines.push(`${"  ".repeat(depth + 1)}${mid}${shape[0]}"${text}"${shape[1]}`);
+    } else {
+      const text = label + (n.description ? `<br/><small>${mermaidText(n.description)}</small>` : "");
+      lines.push(`  ${mid}["${text}"]`);
+      if (parentMid) edges.push(`  ${parentMid} --> ${mid}`);
+    }
+
+    if (showChildren) children.forEach((cid) => walk(cid, depth + 1, mid));
+  }
+
+  walk(rootId, 0, null);
+  return [...lines, ...edges].join("\n");
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { mermaid, mermaidText } from "./mermaid.js";
+import { ROOT_ID, buildFromNested } from "./tree.js";
+
+describe("mermaidText", () => {
+  it("turns characters that end or break a label into entity codes", () => {
+    expect(mermaidText('say "hi" <b>#1</b> & `x`')).toBe("say #34;hi#34; #60;b#62;#35;1#60;/b#62; #38; #96;x#96;");
+    expect(mermaidText("a\nb\tc")).toBe("a b c");
+  });
+});
+
+const nodes = buildFromNested({
+  name: "app",
+  kind: "folder",
+  children: [
+    { name: "src", kind: "folder", children: [{ name: 'say "hi".js', kind: "file", description: "<entry>" }] },
+    { name: "README.md", kind: "file" },
+  ],
+});
+const options = { iconTheme: "none" };
+
+describe("mermaid", () => {
+  it("writes a flowchart with escaped labels, descriptions and edges after the nodes", () => {
+    expect(mermaid(nodes, ROOT_ID, options).split("\n")).toEqual([
+      "flowchart TD",
+      '  n0["app"]',
+      '  n1["src"]',
+      '  n2["say #34;hi#34;.js<br/><small>#60;entry#62;</small>"]',
+      '  n3["README.md"]',
+      "  n0 --> n1",
+      "  n1 --> n2",
+      "  n0 --> n3",
+    ]);
+  });
+
+  it("writes a mindmap with a shape per kind", () => {
+    expect(mermaid(nodes, ROOT_ID, { ...options, syntax: "mindmap" }).split("\n")).toEqual([
+      "mindmap",
+      '  n0(("app"))',
+      '    n1["src"]',
+      '      n2("say #34;hi#34;.js — #60;entry#62;")',
+      '    n3("README.md")',
+    ]);
+  });
+
+  it("marks folders cut off by depth or collapsed state with …", () => {
+    expect(mermaid(nodes, ROOT_ID, { ...options, direction: "LR", maxDepth: 1 }).split("\n").slice(0, 3)).toEqual([
+      "flowchart LR",
+      '  n0["app"]',
+      '  n1["src …"]',
+    ]);
+    const closed = { ...nodes, [nodes[ROOT_ID].children[0]]: { ...nodes[nodes[ROOT_ID].children[0]], isOpen: false } };
+    expect(mermaid(closed, ROOT_ID, { ...options, expandedOnly: true })).toContain('n1["src …"]');
+  });
+});
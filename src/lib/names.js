@@ -0,0 +1,97 @@
+// Checks for names that can't be created, or cause trouble, on disk.
+import { ROOT_ID, splitPath } from "./tree.js";
+
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])(\.|$)/i;
+const NAME_MAX_BYTES = 255;
+
+// "error"s can't exist on common file systems at all; "warning"s break on Windows
+// or are easy to trip over.
+export function checkName(name) {
+  const problems = [];
+  const error = (message) => problems.push({ level: "error", message });
+  const warn = (message) => problems.push({ level: "warning", message });
+
+  if (!name) error("Name is empty");
+  if (name.includes("/")) error("Contains “/”, the path separator");
+  if (/\p{Cc}/u.test(name)) error("Contains control characters");
+  if (name === "." || name === "..") error(`“${name}” is reserved`);
+  if (new TextEncoder().encode(name).length > NAME_MAX_BYTES) error(`Longer than ${NAME_MAX_BYTES} bytes`);
+
+  const forbidden = [...new Set(name.match(/[<>:"\\|?*]/g) || [])];
+  if (forbidden.length) warn(`Windows doesn’t allow ${forbidden.join(" ")} in names`);
+  if (/[ .]$/.test(name) && name !== "." && name !== "..") warn("Ends with a space or dot, which Windows drops");
+  if (/^\s/.test(name)) warn("Starts with whitespace");
+  if (WINDOWS_RESERVED_NAME.test(name)) warn(`“${name.split(".")[0]}” is a reserved device name on Windows`);
+  return problems;
+}
+
+export function problemIcon(problems) {
+  return problems.some((p) => p.level === "error") ? "⛔" : "⚠️";
+}
+
+function clashProblem(parent, name, clash) {
+  return clash.name === name
+    ? { level: "error", message: `“${parent.name}” already contains “${name}”` }
+    : { level: "warning", message: `Clashes with “${clash.name}” on case-insensitive file systems` };
+}
+
+// "a/b/c.txt" in the Add form: each part is checked on its own (existing folders are reused).
+export function draftPathProblems(path) {
+  return splitPath(path).flatMap((part) => checkName(part).map((p) => ({ ...p, message: `${part}: ${p.message}` })));
+}
+
+// Checks a name before it is used for a new or renamed item in parentId.
+export function draftNameProblems(nodes, name, parentId, exceptId = null) {
+  const problems = checkName(name);
+  const parent = nodes[parentId];
+  const siblings = (parent?.children || []).map((cid) => nodes[cid]).filter((c) => c && c.id !== exceptId);
+  const clash =
+    siblings.find((c) => c.name === name) || siblings.find((c) => c.name.toLowerCase() === name.toLowerCase());
+  if (clash) problems.push(clashProblem(parent, name, clash));
+  return problems;
+}
+
+// The first error-level name in a nested tree (e.g. a filled-in template) as {name, message}, or null.
+export function nestedNameError(entry) {
+  const error = checkName(entry.name).find((p) => p.level === "error");
+  if (error) return { name: entry.name, message: error.message };
+  for (const child of entry.children || []) {
+    const found = nestedNameError(child);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Every name problem in the tree, in tree order: [{id, level, message}].
+// Of two colliding siblings the later one is reported.
+export function findNameProblems(nodes, rootId = ROOT_ID) {
+  const problems = [];
+  const stack = [rootId];
+  while (stack.length) {
+    const n = nodes[stack.pop()];
+    if (!n) continue;
+    checkName(n.name).forEach((p) => problems.push({ id: n.id, ...p }));
+    if (n.kind !== "folder") continue;
+
+    const seen = new Map(); // lowercased name -> first sibling
+    n.children.forEach((cid) => {
+      const c = nodes[cid];
+      if (!c) return;
+      const first = seen.get(c.name.toLowerCase());
+      if (first) problems.push({ id: cid, ...clashProblem(n, c.name, first) });
+      else seen.set(c.name.toLowerCase(), c);
+    });
+    for (let i = n.children.length - 1; i >= 0; i--) stack.push(n.children[i]);
+  }
+  return problems;
+}
+
+// Exports that create the tree on disk refuse error-level names: ".." or "a/b" would
+// write outside the target folder. Throws with the offending names listed.
+export function assertWritableNames(nodes, rootId = ROOT_ID) {
+  const errors = findNameProblems(nodes, rootId).filter((p) => p.level === "error");
+  if (!errors.length) return;
+  const list = errors.slice(0, 10).map((p) => `“${nodes[p.id].name}”: ${p.message}`);
+  if (errors.length > 10) list.push(`…and ${errors.length - 10} more`);
+  throw new Error(`Fix these names first (see the name problems list):\n${list.join("\n")}`);
+}
@@ -0,0 +1,124 @@
+import { describe, expect, it } from "vitest";
+import {
+  assertWritableNames,
+  checkName,
+  draftNameProblems,
+  draftPathProblems,
+  findNameProblems,
+  nestedNameError,
+  problemIcon,
+} from "./names.js";
+import { ROOT_ID, buildFromNested } from "./tree.js";
+
+const levels = (name) => checkName(name).map((p) => p.level);
+
+describe("checkName", () => {
+  it("accepts ordinary names", () => {
+    expect(checkName("README.md")).toEqual([]);
+    expect(checkName(".gitignore")).toEqual([]);
+  });
+
+  it("reports names no file system can hold as errors", () => {
+    ["", "a/b", ".", "..", "tab\there", "x".repeat(256), "é".repeat(128)].forEach((name) => {
+      expect(levels(name)).toContain("error");
+    });
+    expect(levels("é".repeat(127))).toEqual([]);
+  });
+
+  it("reports names that only trouble Windows, or people, as warnings", () => {
+    expect(checkName('a<b>:"c"?.txt')).toEqual([{ level: "warning", message: 'Windows doesn’t allow < > : " ? in names' }]);
+    ["trailing.", "trailing ", " leading", "CON", "nul.txt", "com1.log", "LPT²"].forEach((name) => {
+      expect(levels(name)).toEqual(["warning"]);
+    });
+    expect(levels("console.log")).toEqual([]);
+  });
+
+  it("picks the icon of the worst problem", () => {
+    expect(problemIcon(checkName("a/b "))).toBe("⛔");
+    expect(problemIcon(checkName("a "))).toBe("⚠️");
+  });
+});
+
+const nodes = buildFromNested({
+  name: "app",
+  kind: "folder",
+  children: [
+    { name: "Readme.md", kind: "file" },
+    { name: "src", kind: "folder", children: [{ name: "..", kind: "file" }] },
+    { name: "README.md", kind: "file" },
+    { name: "src", kind: "file" },
+  ],
+});
+const [readme, src, README, srcFile] = nodes[ROOT_ID].children;
+const [dots] = nodes[src].children;
+
+describe("draftNameProblems", () => {
+  it("adds exact and case-only clashes with siblings, except the node being renamed", () => {
+    expect(draftNameProblems(nodes, "src", ROOT_ID, srcFile)).toEqual([
+      { level: "error", message: "“app” already contains “src”" },
+    ]);
+    expect(draftNameProblems(nodes, "readme.MD", ROOT_ID)).toEqual([
+      { level: "warning", message: "Clashes with “Readme.md” on case-insensitive file systems" },
+    ]);
+    expect(draftNameProblems(nodes, "Readme.md", ROOT_ID, readme)).toEqual([
+      { level: "warning", message: "Clashes with “README.md” on case-insensitive file systems" },
+    ]);
+  });
+});
+
+describe("draftPathProblems", () => {
+  it("checks each part of a path on its own, naming the part", () => {
+    expect(draftPathProblems("./src//main.js")).toEqual([]);
+    expect(draftPathProblems("src/../con.txt")).toEqual([
+      { level: "error", message: "..: “..” is reserved" },
+      { level: "warning", message: "con.txt: “con” is a reserved device name on Windows" },
+    ]);
+  });
+});
+
+describe("nestedNameError", () => {
+  it("finds the first name that can't exist on disk, in tree order", () => {
+    const entry = (name, children) => ({ name, kind: children ? "folder" : "file", children });
+    expect(nestedNameError(entry("app", [entry("CON"), entry("src", [])]))).toBeNull();
+    expect(nestedNameError(entry("app", [entry("src", [entry("a/b")]), entry("..")]))).toEqual({
+      name: "a/b",
+      message: "Contains “/”, the path separator",
+    });
+  });
+});
+
+describe("findNameProblems", () => {
+  it("lists every problem in tree order, blaming the later of two clashing siblings", () => {
+    expect(findNameProblems(nodes).map(({ id, level }) => [id, level])).toEqual([
+      [README, "warning"],
+      [srcFile, "error"],
+      [dots, "error"],
+    ]);
+  });
+});
+
+describe("assertWritableNames", () => {
+  it("lets warnings through but refuses error-level names, listing them", () => {
+    const ok = buildFromNested({ name: "app", kind: "folder", children: [{ name: "CON", kind: "file" }] });
+    expect(() => assertWritableNames(ok)).not.toThrow();
+
+    const bad = buildFromNested({
+      name: "app",
+      kind: "folder",
+      children: [{ name: "..", kind: "folder", children: [{ name: "a/b", kind: "file" }] }],
+    });
+    expect(() => assertWritableNames(bad)).toThrow(
+      "Fix these names first (see the name problems list):\n“..”: “..” is reserved\n“a/b”: Contains “/”, the path separator"
+    );
+    expect(() => assertWritableNames(bad, bad[ROOT_ID].children[0])).toThrow("“a/b”");
+  });
+
+  it("lists at most ten names", () => {
+    const many = buildFromNested({
+      name: "app",
+      kind: "folder",
+      children: Array.from({ length: 12 }, (_, i) => ({ name: `${i}/x`, kind: "file" })),
+    });
+    expect(() => assertWritableNames(many)).toThrow(/“9\/x”.*\n…and 2 more$/);
+  });
+});
@@ -0,0 +1,79 @@
+// Scaffold scripts that recreate the structure on disk.
+import { assertWritableNames } from "./names.js";
+
+// Pre-order list of {segments:[rootName, ..., name], kind}, starting with the root folder.
+export function collectPaths(nodes, rootId) {
+  const out = [];
+  function walk(id, segments) {
+    const n = nodes[id];
+    const here = [...segments, n.name];
+    out.push({ segments: here, kind: n.kind });
+    if (n.kind === "folder") (n.children || []).forEach((cid) => walk(cid, here));
+  }
+  walk(rootId, []);
+  return out;
+}
+
+function scaffoldPath(target, segments) {
+  const base = (target || "").trim().replace(/[\\/]+$/, "");
+  return base ? [base, ...segments].join("/") : segments.join("/");
+}
+
+// POSIX sh: everything inside single quotes is literal except the quote itself.
+export function shQuote(s) {
+  return "'" + String(s).replaceAll("'", "'\\''") + "'";
+}
+
+// PowerShell: single-quoted strings only escape a quote by doubling it.
+export function psQuote(s) {
+  return "'" + String(s).replace(/['\u2018\u2019\u201a\u201b]/g, "$&$&") + "'";
+}
+
+export function shellScript(nodes, rootId, target) {
+  assertWritableNames(nodes, rootId);
+  const lines = ["#!/bin/sh", "# Generated by Folder Structure Visualizer", "set -e", ""];
+  collectPaths(nodes, rootId).forEach(({ segments, kind }) => {
+    const p = shQuote(scaffoldPath(target, segments));
+    lines.push(kind === "folder" ? `mkdir -p -- ${p}` : `touch -- ${p}`);
+  });
+  return lines.join("\n") + "\n";
+}
+
+export function powershellScript(nodes, rootId, target) {
+  assertWritableNames(nodes, rootId);
+  const lines = ["# Generated by Folder Structure Visualizer", "$ErrorActionPreference = 'Stop'", ""];
+  collectPaths(nodes, rootId).forEach(({ segments, kind }) => {
+    const p = psQuote(scaffoldPath(target, segments));
+    if (kind === "folder") {
+      lines.push(`New-Item -ItemType Directory -Force -Path ${p} | Out-Null`);
+    } else {
+      lines.push(`if (-not (Test-Path -LiteralPath ${p})) { New-Item -ItemType File -Path ${p} | Out-Null }`);
+    }
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function nodeScript(nodes, rootId, target) {
+  assertWritableNames(nodes, rootId);
+  const paths = collectPaths(nodes, rootId);
+  const list = (kind) =>
+    JSON.stringify(paths.filter((p) => p.kind === kind).map((p) => p.segments.join("/")), null, 2);
+  return [
+    "// Generated by Folder Structure Visualizer",
+    "// Usage: node scaffold.mjs [target-dir]",
+    'import { mkdirSync, writeFileSync } from "node:fs";',
+    'import { dirname, join } from "node:path";',
+    "",
+    `const base = process.argv[2] ?? ${JSON.stringify((target || "").trim() || ".")};`,
+    `const folders = ${list("folder")};`,
+    `const files = ${list("file")};`,
+    "",
+    "for (const p of folders) mkdirSync(join(base, p), { recursive: true });",
+    "for (const p of files) {",
+    "  mkdirSync(dirname(join(base, p)), { recursive: true });",
+    '  writeFileSync(join(base, p), "", { flag: "a" }); // never truncates existing files',
+    "}",
+    'console.log(`Created ${folders.length} folders and ${files.length} files in ${base}`);',
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,69 @@
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readdirSync, rmSync, statSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, expect, it } from "vitest";
+import { nodeScript, powershellScript, psQuote, shQuote, shellScript } from "./scaffold.js";
+import { buildFromNested, ROOT_ID } from "./tree.js";
+
+const awkward = ["it's", "$HOME", "`id`", "a b", "*", '"x"', "-rf", "back\\slash", "new\nline"];
+
+describe("shQuote", () => {
+  it("passes every character through sh untouched", () => {
+    awkward.forEach((s) => {
+      expect(execFileSync("sh", ["-c", `printf %s ${shQuote(s)}`], { encoding: "utf8" })).toBe(s);
+    });
+  });
+});
+
+describe("psQuote", () => {
+  it("doubles straight and typographic single quotes and nothing else", () => {
+    expect(psQuote("plain $env:HOME `n")).toBe("'plain $env:HOME `n'");
+    expect(psQuote("it's")).toBe("'it''s'");
+    expect(psQuote("a’b‘c")).toBe("'a’’b‘‘c'");
+  });
+});
+
+const nodes = buildFromNested({
+  name: "app",
+  kind: "folder",
+  children: [
+    { name: "src", kind: "folder", children: [{ name: "it's here.js", kind: "file" }] },
+    { name: "$x.md", kind: "file" },
+  ],
+});
+
+describe("shellScript", () => {
+  let dir;
+  afterEach(() => dir && rmSync(dir, { recursive: true, force: true }));
+
+  it("creates the structure under the target, quoting every path", () => {
+    dir = mkdtempSync(join(tmpdir(), "scaffold-"));
+    execFileSync("sh", ["-c", shellScript(nodes, ROOT_ID, dir + "/")]);
+    expect(readdirSync(join(dir, "app")).sort()).toEqual(["$x.md", "src"]);
+    expect(statSync(join(dir, "app", "src", "it's here.js")).isFile()).toBe(true);
+  });
+});
+
+describe("powershellScript / nodeScript", () => {
+  it("lists folders before their files with the target prefixed", () => {
+    expect(powershellScript(nodes, ROOT_ID, "out").split("\r\n").slice(3, 7)).toEqual([
+      "New-Item -ItemType Directory -Force -Path 'out/app' | Out-Null",
+      "New-Item -ItemType Directory -Force -Path 'out/app/src' | Out-Null",
+      "if (-not (Test-Path -LiteralPath 'out/app/src/it''s here.js')) { New-Item -ItemType File -Path 'out/app/src/it''s here.js' | Out-Null }",
+      "if (-not (Test-Path -LiteralPath 'out/app/$x.md')) { New-Item -ItemType File -Path 'out/app/$x.md' | Out-Null }",
+    ]);
+    const script = nodeScript(nodes, ROOT_ID, "");
+    expect(script).toContain('const base = process.argv[2] ?? ".";');
+    expect(script).toContain('const files = [\n  "app/src/it\'s here.js",\n  "app/$x.md"\n];');
+  });
+});
+
+describe("name gate", () => {
+  it("refuses to write names that would leave the target folder", () => {
+    const escape = buildFromNested({ name: "..", kind: "folder", children: [{ name: "../../etc", kind: "file" }] });
+    [shellScript, powershellScript, nodeScript].forEach((build) => {
+      expect(() => build(escape, ROOT_ID, "out")).toThrow("“..”: “..” is reserved");
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// Search and filter over names and paths.
+import { escapeRegex, globToRegexSource } from "./folderImport.js";
+
+export const SEARCH_MODES = [
+  ["text", "Text"],
+  ["glob", "Glob"],
+  ["regex", "Regex"],
+];
+
+/**
+ * Compiles a query into {regex, byPath} (or {error}); null for an empty query.
+ * A query containing "/" is matched against the path below the root
+ * ("src/utils/format.js"), anything else against the name alone.
+ * Text matches are substrings, globs must cover the whole name or path.
+ */
+export function compileSearch(query, mode) {
+  const q = query.trim();
+  if (!q) return null;
+  const byPath = q.includes("/");
+
+  if (mode === "regex") {
+    try {
+      return { regex: new RegExp(q, "i"), byPath };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  if (mode === "glob") {
+    const glob = q.replace(/^\/+/, "");
+    return { regex: new RegExp("^" + globToRegexSource(glob) + "$", "i"), byPath };
+  }
+  return { regex: new RegExp(escapeRegex(q), "i"), byPath };
+}
+
+// Matching ids in pre-order (the order rows appear with every folder open).
+export function searchMatches(nodes, rootId, search) {
+  const out = [];
+  function walk(id, path) {
+    const n = nodes[id];
+    if (search.regex.test(search.byPath ? path : n.name)) out.push(id);
+    if (n.kind === "folder") {
+      (n.children || []).forEach((cid) => walk(cid, path ? `${path}/${nodes[cid].name}` : nodes[cid].name));
+    }
+  }
+  (nodes[rootId].children || []).forEach((cid) => walk(cid, nodes[cid].name));
+  if (!search.byPath && search.regex.test(nodes[rootId].name)) out.unshift(rootId);
+  return out;
+}
+
+/**
+ * Filter mode: `show` holds the matches plus their ancestors, `open` the
+ * ancestors, which are expanded while filtering unless listed in `collapsed`
+ * (folders the user closed by hand).
+ */
+export function searchFilter(nodes, matches, collapsed = new Set()) {
+  const show = new Set(matches);
+  const open = new Set();
+  matches.forEach((id) => {
+    let cur = nodes[id].parent;
+    while (cur && !open.has(cur)) {
+      open.add(cur);
+      show.add(cur);
+      cur = nodes[cur].parent;
+    }
+  });
+  return { show, open, collapsed };
+}
+
+export function isExpanded(node, filter) {
+  if (node.kind !== "folder") return false;
+  if (filter?.open.has(node.id)) return !filter.collapsed.has(node.id);
+  return !!node.isOpen;
+}
+
+export function shownChildren(node, filter) {
+  const children = node.children || [];
+  return filter ? children.filter((cid) => filter.show.has(cid)) : children;
+}
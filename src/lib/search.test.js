@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { compileSearch, isExpanded, searchFilter, searchMatches, shownChildren } from "./search.js";
+import { ROOT_ID, buildFromNested } from "./tree.js";
+
+const nodes = buildFromNested({
+  name: "app",
+  kind: "folder",
+  children: [
+    {
+      name: "src",
+      kind: "folder",
+      children: [{ name: "utils", kind: "folder", children: [{ name: "format.js", kind: "file" }] }],
+    },
+    { name: "Format.md", kind: "file" },
+  ],
+});
+const [src, formatMd] = nodes[ROOT_ID].children;
+const [utils] = nodes[src].children;
+const [formatJs] = nodes[utils].children;
+const find = (query, mode = "text") => searchMatches(nodes, ROOT_ID, compileSearch(query, mode));
+
+describe("compileSearch / searchMatches", () => {
+  it("matches text as a case-insensitive substring of the name", () => {
+    expect(compileSearch("  ", "text")).toBeNull();
+    expect(find("format")).toEqual([formatJs, formatMd]);
+    expect(find("a")).toEqual([ROOT_ID, formatJs, formatMd]);
+    expect(find("(")).toEqual([]);
+  });
+
+  it("matches globs against the whole name, or the whole path when the query has a /", () => {
+    expect(find("*.js", "glob")).toEqual([formatJs]);
+    expect(find("form", "glob")).toEqual([]);
+    expect(find("src/*", "glob")).toEqual([utils]);
+    expect(find("/src/**/*.js", "glob")).toEqual([formatJs]);
+    expect(find("**/*.js", "glob")).toEqual([formatJs]);
+  });
+
+  it("matches regexes anywhere and reports bad ones", () => {
+    expect(find("^f.*\\.md$", "regex")).toEqual([formatMd]);
+    expect(find("utils/.", "regex")).toEqual([formatJs]);
+    expect(compileSearch("(", "regex")).toHaveProperty("error");
+  });
+});
+
+describe("searchFilter", () => {
+  it("shows matches with their ancestors and opens the ancestors, except ones closed by hand", () => {
+    const filter = searchFilter(nodes, [formatJs], new Set([src]));
+    expect([...filter.show].sort()).toEqual([ROOT_ID, src, utils, formatJs].sort());
+    expect(shownChildren(nodes[ROOT_ID], filter)).toEqual([src]);
+    expect(shownChildren(nodes[ROOT_ID], null)).toEqual([src, formatMd]);
+    expect(isExpanded(nodes[utils], filter)).toBe(true);
+    expect(isExpanded(nodes[src], filter)).toBe(false);
+    expect(isExpanded({ ...nodes[utils], isOpen: false }, null)).toBe(false);
+    expect(isExpanded(nodes[formatMd], filter)).toBe(false);
+  });
+});
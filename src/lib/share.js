@@ -0,0 +1,73 @@
+// Share links: the structure packed into the URL hash.
+
+// Links look like `#share=1.<base64url of deflate-raw(JSON of toNested())>`.
+export const SHARE_PARAM = "share=";
+export const SHARE_VERSION = "1.";
+export const SHARE_MAX_LINK = 60000; // characters in the hash; longer links get mangled by chat tools and browsers
+const SHARE_MAX_JSON = 5 * 1024 * 1024; // inflated size cap, guards against crafted links
+
+function bytesToBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const b64 = text.replaceAll("-", "+").replaceAll("_", "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+export async function encodeShare(nested) {
+  if (typeof CompressionStream === "undefined") throw new Error("This browser cannot compress share links.");
+  const stream = new Blob([JSON.stringify(nested)]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return SHARE_VERSION + bytesToBase64Url(bytes);
+}
+
+export async function decodeShare(payload) {
+  if (payload.length > SHARE_MAX_LINK) throw new Error("This link is too large to open.");
+  if (!payload.startsWith(SHARE_VERSION)) throw new Error("This link was made by an unsupported version.");
+  if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot open share links.");
+
+  let bytes;
+  try {
+    bytes = base64UrlToBytes(payload.slice(SHARE_VERSION.length));
+  } catch {
+    throw new Error("This link is corrupt (bad encoding). It may have been cut off while copying.");
+  }
+
+  let json = "";
+  try {
+    const reader = new Blob([bytes])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"))
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      json += value;
+      if (json.length > SHARE_MAX_JSON) {
+        reader.cancel();
+        throw new Error("too large");
+      }
+    }
+  } catch (err) {
+    if (err.message === "too large") throw new Error("This link expands to a structure that is too large to open.");
+    throw new Error("This link is corrupt (cannot decompress). It may have been cut off while copying.");
+  }
+
+  let nested;
+  try {
+    nested = JSON.parse(json);
+  } catch {
+    throw new Error("This link is corrupt (invalid data).");
+  }
+  if (!nested || typeof nested !== "object" || !Array.isArray(nested.children)) {
+    throw new Error("This link does not contain a folder structure.");
+  }
+  return nested;
+}
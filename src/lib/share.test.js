@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { SHARE_VERSION, decodeShare, encodeShare } from "./share.js";
+
+const nested = {
+  name: "app",
+  kind: "folder",
+  children: [
+    { name: "café ☕.md", kind: "file", description: "notes" },
+    { name: "src", kind: "folder", children: [] },
+  ],
+};
+
+describe("encodeShare / decodeShare", () => {
+  it("round-trips a structure through a URL-safe payload", async () => {
+    const payload = await encodeShare(nested);
+    expect(payload.startsWith(SHARE_VERSION)).toBe(true);
+    expect(payload).toMatch(/^[\w.-]+$/);
+    expect(await decodeShare(payload)).toEqual(nested);
+  });
+
+  it("rejects other versions, bad encodings and data that is not a tree", async () => {
+    const payload = await encodeShare(nested);
+    await expect(decodeShare("2." + payload.slice(2))).rejects.toThrow("unsupported version");
+    await expect(decodeShare(SHARE_VERSION + "%%%")).rejects.toThrow("bad encoding");
+    await expect(decodeShare(payload.slice(0, 12))).rejects.toThrow("cannot decompress");
+    await expect(decodeShare(await encodeShare({ name: "x" }))).rejects.toThrow("does not contain a folder structure");
+  });
+
+  it("refuses links over the length cap before decoding", async () => {
+    await expect(decodeShare(SHARE_VERSION + "A".repeat(60000))).rejects.toThrow("too large to open");
+  });
+});
@@ -0,0 +1,76 @@
+// Sort orders for folder contents.
+
+export const SORT_ORDERS = {
+  alpha: "Alphabetical",
+  natural: "Natural (2-x before 10-x)",
+  extension: "By extension",
+};
+export const DEFAULT_SORT = { order: "natural", foldersFirst: true, auto: false };
+
+const alphaCollator = new Intl.Collator(undefined, { sensitivity: "base" });
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+export function fileExtension(node) {
+  if (node.kind !== "file") return "";
+  const dot = node.name.lastIndexOf(".");
+  return dot > 0 ? node.name.slice(dot + 1).toLowerCase() : "";
+}
+
+export function compareNodes(a, b, { order, foldersFirst }) {
+  if (foldersFirst && a.kind !== b.kind) return a.kind === "folder" ? -1 : 1;
+  if (order === "extension") {
+    const byExt = naturalCollator.compare(fileExtension(a), fileExtension(b));
+    if (byExt) return byExt;
+  }
+  const collator = order === "alpha" ? alphaCollator : naturalCollator;
+  // fall back to code points so "a" and "A" still get a fixed order
+  return collator.compare(a.name, b.name) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+}
+
+export function folderIdsUnder(nodes, id) {
+  const out = [];
+  const stack = [id];
+  while (stack.length) {
+    const n = nodes[stack.pop()];
+    if (n?.kind !== "folder") continue;
+    out.push(n.id);
+    stack.push(...n.children);
+  }
+  return out;
+}
+
+// Sorts the children of each folder in `parentIds` (default: every folder). Returns `nodes`
+// itself when nothing moves, so an already sorted tree adds no undo step.
+export function sortChildren(nodes, rule, parentIds = Object.keys(nodes)) {
+  let copy = nodes;
+  parentIds.forEach((id) => {
+    const n = nodes[id];
+    if (n?.kind !== "folder" || n.children.length < 2) return;
+    const sorted = [...n.children].sort((a, b) => compareNodes(nodes[a], nodes[b], rule));
+    if (sorted.every((cid, i) => cid === n.children[i])) return;
+    if (copy === nodes) copy = { ...nodes };
+    copy[id] = { ...n, children: sorted };
+  });
+  return copy;
+}
+
+// True when two node maps hold the same nodes by value, e.g. once auto-sort has undone a reorder.
+export function sameNodes(a, b) {
+  const ids = Object.keys(a);
+  if (ids.length !== Object.keys(b).length) return false;
+  return ids.every((id) => {
+    const x = a[id];
+    const y = b[id];
+    if (x === y) return true;
+    if (!y) return false;
+    const keys = Object.keys(x);
+    return (
+      keys.length === Object.keys(y).length &&
+      keys.every((k) =>
+        k === "children"
+          ? x.children.length === y.children?.length && x.children.every((cid, i) => cid === y.children[i])
+          : x[k] === y[k]
+      )
+    );
+  });
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { compareNodes, fileExtension, folderIdsUnder, sameNodes, sortChildren } from "./sort.js";
+import { ROOT_ID, buildFromNested, toNested } from "./tree.js";
+
+const file = (name) => ({ name, kind: "file" });
+const folder = (name, children = []) => ({ name, kind: "folder", children });
+const sorted = (names, rule) =>
+  names
+    .map(file)
+    .sort((a, b) => compareNodes(a, b, rule))
+    .map((n) => n.name);
+
+describe("compareNodes", () => {
+  it("orders numbers by value in natural order and by character in alphabetical order", () => {
+    const names = ["10-x.md", "2-x.md", "1-x.md"];
+    expect(sorted(names, { order: "natural" })).toEqual(["1-x.md", "2-x.md", "10-x.md"]);
+    expect(sorted(names, { order: "alpha" })).toEqual(["1-x.md", "10-x.md", "2-x.md"]);
+  });
+
+  it("groups by extension, then by name", () => {
+    expect(sorted(["b.js", "a.md", "c", "a.js"], { order: "extension" })).toEqual(["c", "a.js", "b.js", "a.md"]);
+  });
+
+  it("ignores case but still gives a fixed order", () => {
+    expect(sorted(["b", "a", "A"], { order: "alpha" })).toEqual(["A", "a", "b"]);
+    expect(sorted(["A", "a", "b"], { order: "alpha" })).toEqual(["A", "a", "b"]);
+  });
+
+  it("puts folders first only when asked", () => {
+    const first = (foldersFirst) =>
+      [file("a.txt"), folder("z")].sort((a, b) => compareNodes(a, b, { order: "alpha", foldersFirst }))[0].name;
+    expect(first(true)).toBe("z");
+    expect(first(false)).toBe("a.txt");
+  });
+});
+
+describe("fileExtension", () => {
+  it("reads the last extension of files only, lower-cased", () => {
+    expect(fileExtension(file("a.tar.GZ"))).toBe("gz");
+    expect(fileExtension(file(".gitignore"))).toBe("");
+    expect(fileExtension(folder("v1.2"))).toBe("");
+  });
+});
+
+describe("sortChildren", () => {
+  const nodes = buildFromNested(folder("app", [file("b.txt"), folder("src", [file("z.js"), file("a.js")]), file("a.txt")]));
+  const rule = { order: "natural", foldersFirst: true };
+
+  it("sorts every folder by default, or only the ones given", () => {
+    expect(toNested(sortChildren(nodes, rule), ROOT_ID)).toEqual(
+      folder("app", [folder("src", [file("a.js"), file("z.js")]), file("a.txt"), file("b.txt")])
+    );
+    const rootOnly = sortChildren(nodes, rule, [ROOT_ID]);
+    expect(toNested(rootOnly, ROOT_ID).children[0]).toEqual(folder("src", [file("z.js"), file("a.js")]));
+    expect(folderIdsUnder(nodes, ROOT_ID)).toHaveLength(2);
+  });
+
+  it("returns the same map when nothing moves", () => {
+    const once = sortChildren(nodes, rule);
+    expect(sortChildren(once, rule)).toBe(once);
+    expect(sameNodes(once, nodes)).toBe(false);
+    expect(sameNodes(once, structuredClone(once))).toBe(true);
+  });
+});
@@ -0,0 +1,370 @@
+// Built-in templates, template packs and {{param}} filling.
+import { uid } from "./tree.js";
+
+const TEMPLATES = {
+  "React app": {
+    name: "my-react-app",
+    kind: "folder",
+    children: [
+      {
+        name: "src",
+        kind: "folder",
+        children: [
+          { name: "App.jsx", kind: "file" },
+          { name: "main.jsx", kind: "file" }
+        ]
+      },
+      { name: "public", kind: "folder", children: [] },
+      { name: "package.json", kind: "file" },
+      { name: "vite.config.js", kind: "file" },
+      { name: "README.md", kind: "file" },
+      { name: ".gitignore", kind: "file" }
+    ]
+  },
+  "Python package": {
+    name: "my-python-project",
+    kind: "folder",
+    children: [
+      {
+        name: "src",
+        kind: "folder",
+        children: [
+          {
+            name: "my_package",
+            kind: "folder",
+            children: [{ name: "__init__.py", kind: "file" }]
+          }
+        ]
+      },
+      {
+        name: "tests",
+        kind: "folder",
+        children: [{ name: "test_smoke.py", kind: "file" }]
+      },
+      { name: "pyproject.toml", kind: "file" },
+      { name: "README.md", kind: "file" },
+      { name: "requirements.txt", kind: "file" },
+      { name: ".gitignore", kind: "file" }
+    ]
+  },
+  "Writing project": {
+    name: "my-book",
+    kind: "folder",
+    children: [
+      {
+        name: "chapters",
+        kind: "folder",
+        children: [
+          { name: "01-opening.md", kind: "file" },
+          { name: "02-middle.md", kind: "file" }
+        ]
+      },
+      {
+        name: "notes",
+        kind: "folder",
+        children: [
+          { name: "research.md", kind: "file" },
+          { name: "ideas.md", kind: "file" }
+        ]
+      },
+      {
+        name: "assets",
+        kind: "folder",
+        children: [{ name: "cover.png", kind: "file" }]
+      },
+      { name: "README.md", kind: "file" }
+    ]
+  },
+  "eBook": {
+    name: "my-ebook",
+    kind: "folder",
+    children: [
+      {
+        name: "front-matter",
+        kind: "folder",
+        children: [
+          { name: "title-page.md", kind: "file" },
+          { name: "copyright.md", kind: "file" },
+          { name: "dedication.md", kind: "file" },
+          { name: "table-of-contents.md", kind: "file" }
+        ]
+      },
+      {
+        name: "chapters",
+        kind: "folder",
+        children: [
+          { name: "01-introduction.md", kind: "file" },
+          { name: "02-chapter-one.md", kind: "file" },
+          { name: "03-chapter-two.md", kind: "file" },
+          { name: "04-conclusion.md", kind: "file" }
+        ]
+      },
+      {
+        name: "back-matter",
+        kind: "folder",
+        children: [
+          { name: "appendix.md", kind: "file" },
+          { name: "resources.md", kind: "file" },
+          { name: "about-the-author.md", kind: "file" }
+        ]
+      },
+      {
+        name: "assets",
+        kind: "folder",
+        children: [
+          { name: "cover.jpg", kind: "file" },
+          { name: "images", kind: "folder", children: [] }
+        ]
+      },
+      { name: "book-description.md", kind: "file" },
+      { name: "metadata.json", kind: "file" },
+      { name: "README.md", kind: "file" }
+    ]
+  },
+  "Node package": {
+    name: "{{projectName}}",
+    kind: "folder",
+    params: [
+      { key: "projectName", label: "Project folder", type: "text", default: "my-package" },
+      { key: "packageName", label: "Package name", type: "text", default: "{{projectName}}" },
+      { key: "typescript", label: "TypeScript", type: "boolean", default: true },
+      { key: "tests", label: "Tests folder", type: "boolean", default: true },
+      { key: "ci", label: "GitHub Actions CI", type: "boolean", default: false },
+      { key: "docker", label: "Dockerfile", type: "boolean", default: false },
+      { key: "packageManager", label: "Package manager", type: "choice", options: ["npm", "pnpm", "yarn"], default: "npm" }
+    ],
+    children: [
+      {
+        name: "src",
+        kind: "folder",
+        children: [
+          { name: "index.ts", kind: "file", if: "typescript", description: "entry point of {{packageName}}" },
+          { name: "index.js", kind: "file", if: "!typescript", description: "entry point of {{packageName}}" }
+        ]
+      },
+      {
+        name: "tests",
+        kind: "folder",
+        if: "tests",
+        children: [
+          { name: "index.test.ts", kind: "file", if: "typescript" },
+          { name: "index.test.js", kind: "file", if: "!typescript" }
+        ]
+      },
+      {
+        name: ".github",
+        kind: "folder",
+        if: "ci",
+        children: [{ name: "workflows", kind: "folder", children: [{ name: "ci.yml", kind: "file" }] }]
+      },
+      { name: "Dockerfile", kind: "file", if: "docker" },
+      { name: ".dockerignore", kind: "file", if: "docker" },
+      { name: "package.json", kind: "file" },
+      { name: "package-lock.json", kind: "file", if: "packageManager == npm" },
+      { name: "pnpm-lock.yaml", kind: "file", if: "packageManager == pnpm" },
+      { name: "yarn.lock", kind: "file", if: "packageManager == yarn" },
+      { name: "tsconfig.json", kind: "file", if: "typescript" },
+      { name: "README.md", kind: "file" },
+      { name: ".gitignore", kind: "file" }
+    ]
+  }
+};
+
+/**
+ * The library is the built-in TEMPLATES plus the user's own, stored under
+ * "templates" as [{id, name, category, tree, updatedAt}] with `tree` in the
+ * toNested() shape. Packs are JSON files {type, version, templates:[{name, category, tree}]}.
+ */
+const TEMPLATE_PACK_TYPE = "folderviz-templates";
+export const BUILTIN_CATEGORY = "Built-in";
+export const BUILTIN_TEMPLATES = Object.entries(TEMPLATES).map(([name, tree]) => ({
+  id: `builtin:${name}`,
+  name,
+  category: BUILTIN_CATEGORY,
+  tree,
+  builtIn: true,
+}));
+
+export function isTemplateEntry(t) {
+  return !!t && typeof t.name === "string" && !!t.tree && typeof t.tree === "object" && !Array.isArray(t.tree);
+}
+
+/**
+ * Copy of a template tree that buildFromNested can take: entries that aren't
+ * objects with a string name are left out, `kind` is "file" or "folder" and
+ * only folders keep (a list of) children. What was left out goes to `problems`.
+ */
+export function cleanTemplateTree(entry, problems, where) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry) || typeof entry.name !== "string") {
+    problems.push(`${where}: an entry without a name was left out`);
+    return null;
+  }
+
+  const out = { ...entry, kind: entry.kind === "file" ? "file" : "folder" };
+  if (out.description != null) out.description = String(out.description);
+  if (out.params != null) out.params = cleanTemplateParams(out.params, problems, `${where}/${entry.name}`);
+  if (out.if != null && typeof out.if !== "string") {
+    problems.push(`${where}/${entry.name}: "if" is not text, the condition was left out`);
+    delete out.if;
+  }
+  if (out.kind === "file") {
+    delete out.children;
+    return out;
+  }
+  if (entry.children != null && !Array.isArray(entry.children)) {
+    problems.push(`${where}/${entry.name}: "children" is not a list and was left out`);
+  }
+  const children = Array.isArray(entry.children) ? entry.children : [];
+  out.children = children.map((c) => cleanTemplateTree(c, problems, `${where}/${entry.name}`)).filter(Boolean);
+  return out;
+}
+
+export function templatePack(templates) {
+  return {
+    type: TEMPLATE_PACK_TYPE,
+    version: 1,
+    templates: templates.map(({ name, category, tree }) => ({ name, category, tree })),
+  };
+}
+
+/**
+ * Templates from a pack (or a bare array of templates), with fresh ids:
+ * {templates, problems}. Malformed templates and entries are left out and
+ * described in `problems`.
+ */
+export function parseTemplatePack(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.type === TEMPLATE_PACK_TYPE ? data.templates : null;
+  if (!Array.isArray(list)) throw new Error("not a template pack");
+
+  const problems = [];
+  const templates = [];
+  list.forEach((t, i) => {
+    if (!isTemplateEntry(t)) {
+      problems.push(`template ${i + 1}: needs a name and a tree, left out`);
+      return;
+    }
+    const name = t.name.trim() || "Untitled";
+    const tree = cleanTemplateTree(t.tree, problems, name);
+    if (!tree) return;
+    templates.push({ id: uid(), name, category: String(t.category || "").trim(), tree, updatedAt: Date.now() });
+  });
+  if (!templates.length) throw new Error("the pack contains no usable templates");
+  return { templates, problems };
+}
+
+// [[category, templates]] in first-seen order; uncategorized templates go under "My templates".
+export function groupTemplates(templates) {
+  const groups = new Map();
+  templates.forEach((t) => {
+    const category = t.category || "My templates";
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(t);
+  });
+  return [...groups];
+}
+
+/**
+ * Parameterized templates: the root may declare
+ *   params: [{key, label?, type: "text"|"boolean"|"choice", options?, default?}]
+ * names and descriptions may use {{key}}, and any entry may carry an `if`:
+ * "key", "!key", "key == value" or "key != value". Placeholders without a
+ * declared param become text params, so a saved tree with {{name}} in it works too.
+ */
+const PLACEHOLDER_RE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const PARAM_TYPES = ["text", "boolean", "choice"];
+
+// Param definitions the wizard can show; broken ones are left out (and described in `problems`).
+function cleanTemplateParams(params, problems, where) {
+  if (!Array.isArray(params)) {
+    problems.push(`${where}: "params" is not a list and was left out`);
+    return [];
+  }
+  const keys = new Set();
+  return params.flatMap((p, i) => {
+    const bad = (why) => {
+      problems.push(`${where}: param ${p?.key ?? i + 1} ${why}, left out`);
+      return [];
+    };
+    if (!p || typeof p.key !== "string" || !/^[\w.-]+$/.test(p.key)) return bad("has no usable key");
+    if (keys.has(p.key)) return bad("is declared twice");
+    const type = p.type ?? "text";
+    if (!PARAM_TYPES.includes(type)) return bad(`has an unknown type "${type}"`);
+
+    const out = { key: p.key, type };
+    if (typeof p.label === "string") out.label = p.label;
+    if (type === "choice") {
+      const options = Array.isArray(p.options) ? p.options.filter((o) => typeof o === "string") : [];
+      if (!options.length) return bad("needs a list of text options");
+      out.options = options;
+      out.default = options.includes(p.default) ? p.default : options[0];
+    } else if (type === "boolean") {
+      out.default = !!p.default;
+    } else if (p.default != null) {
+      out.default = String(p.default);
+    }
+    keys.add(p.key);
+    return [out];
+  });
+}
+
+const isTemplateChild = (c) => !!c && typeof c === "object" && !Array.isArray(c);
+
+export function templateParams(tree) {
+  const declared = tree.params == null ? [] : cleanTemplateParams(tree.params, [], tree.name);
+  const keys = new Set(declared.map((p) => p.key));
+  const found = [];
+  (function walk(entry) {
+    [entry.name, entry.description].forEach((text) => {
+      for (const [, key] of String(text || "").matchAll(PLACEHOLDER_RE)) {
+        if (keys.has(key)) continue;
+        keys.add(key);
+        found.push({ key, type: "text" });
+      }
+    });
+    if (Array.isArray(entry.children)) entry.children.filter(isTemplateChild).forEach(walk);
+  })(tree);
+  return [...declared, ...found];
+}
+
+// Unknown placeholders stay as they are, so they show up in the result.
+function fillPlaceholders(text, values) {
+  return String(text).replace(PLACEHOLDER_RE, (whole, key) => (key in values ? String(values[key]) : whole));
+}
+
+// A value for every param: what was entered, else the default (text defaults may use earlier params).
+export function resolveParamValues(params, entered) {
+  const values = {};
+  params.forEach((p) => {
+    const given = entered[p.key];
+    if (p.type === "boolean") values[p.key] = given ?? !!p.default;
+    else if (p.type === "choice") values[p.key] = given ?? p.default ?? p.options?.[0] ?? "";
+    else values[p.key] = given?.trim() || fillPlaceholders(p.default ?? "", values);
+  });
+  return values;
+}
+
+function conditionHolds(condition, values) {
+  const text = String(condition).trim();
+  const compare = text.match(/^([\w.-]+)\s*(==|!=)\s*(.*)$/);
+  if (compare) {
+    const equal = String(values[compare[1]] ?? "") === compare[3].trim().replace(/^(["'])(.*)\1$/, "$2");
+    return compare[2] === "==" ? equal : !equal;
+  }
+  if (text.startsWith("!")) return !values[text.slice(1).trim()];
+  return !!values[text];
+}
+
+// The plain nested tree a template produces: failing `if`s are dropped, placeholders filled in.
+export function instantiateTemplate(tree, values) {
+  function build(entry) {
+    const out = { name: fillPlaceholders(entry.name || "", values), kind: entry.kind || "folder" };
+    if (entry.description) out.description = fillPlaceholders(entry.description, values);
+    if (out.kind === "folder") {
+      const children = Array.isArray(entry.children) ? entry.children.filter(isTemplateChild) : [];
+      out.children = children.filter((c) => c.if == null || conditionHolds(c.if, values)).map(build);
+    }
+    return out;
+  }
+  return build(tree);
+}
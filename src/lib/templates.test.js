@@ -0,0 +1,193 @@
+import { describe, expect, it } from "vitest";
+import { nestedNameError } from "./names.js";
+import {
+  BUILTIN_CATEGORY,
+  BUILTIN_TEMPLATES,
+  groupTemplates,
+  instantiateTemplate,
+  parseTemplatePack,
+  resolveParamValues,
+  templatePack,
+  templateParams,
+} from "./templates.js";
+
+const nodePackage = BUILTIN_TEMPLATES.find((t) => t.name === "Node package").tree;
+
+// "a/b.txt" style paths of every entry, to keep expectations short
+function paths(entry, prefix = "") {
+  const path = prefix + entry.name + (entry.kind === "folder" ? "/" : "");
+  return [path, ...(entry.children || []).flatMap((c) => paths(c, path))];
+}
+
+const service = {
+  name: "{{name}}",
+  kind: "folder",
+  params: [
+    { key: "name", label: "Service name", default: "svc" },
+    { key: "image", default: "{{name}}-image" },
+    { key: "docker", type: "boolean" },
+    { key: "lang", type: "choice", options: ["go", "python"] },
+  ],
+  children: [
+    { name: "main.go", kind: "file", if: "lang == go", description: "entry point of {{name}}" },
+    { name: "main.py", kind: "file", if: "lang != 'go'" },
+    { name: "Dockerfile", kind: "file", if: "docker" },
+    { name: "run.sh", kind: "file", if: "!docker" },
+    { name: "{{owner}}.txt", kind: "file" },
+  ],
+};
+
+describe("template params", () => {
+  it("lists declared params, then placeholders nobody declared", () => {
+    expect(templateParams(service)).toEqual([
+      { key: "name", type: "text", label: "Service name", default: "svc" },
+      { key: "image", type: "text", default: "{{name}}-image" },
+      { key: "docker", type: "boolean", default: false },
+      { key: "lang", type: "choice", options: ["go", "python"], default: "go" },
+      { key: "owner", type: "text" },
+    ]);
+  });
+
+  it("leaves out broken param definitions", () => {
+    const tree = {
+      name: "x",
+      params: [
+        { key: "ok", type: "boolean", default: 1 },
+        { key: "ok", type: "text" },
+        { key: "bad key", type: "text" },
+        { key: "kind", type: "number" },
+        { key: "pick", type: "choice", options: "a,b" },
+        { key: "mode", type: "choice", options: ["a", 2, "b"], default: "c" },
+        null,
+      ],
+    };
+    expect(templateParams(tree)).toEqual([
+      { key: "ok", type: "boolean", default: true },
+      { key: "mode", type: "choice", options: ["a", "b"], default: "a" },
+    ]);
+  });
+
+  it("fills in defaults, and text defaults may use earlier values", () => {
+    expect(resolveParamValues(templateParams(service), { name: "  ", lang: "python" })).toEqual({
+      name: "svc",
+      image: "svc-image",
+      docker: false,
+      lang: "python",
+      owner: "",
+    });
+    expect(resolveParamValues(templateParams(service), { name: " api " }).image).toBe("api-image");
+  });
+});
+
+describe("instantiateTemplate", () => {
+  it("fills placeholders and drops entries whose condition fails", () => {
+    const values = resolveParamValues(templateParams(service), { name: "api", docker: true, owner: "team" });
+    const tree = instantiateTemplate(service, values);
+    expect(paths(tree)).toEqual(["api/", "api/main.go", "api/Dockerfile", "api/team.txt"]);
+    expect(tree.children[0].description).toBe("entry point of api");
+    expect(tree.params).toBeUndefined();
+
+    const python = instantiateTemplate(service, resolveParamValues(templateParams(service), { lang: "python" }));
+    expect(paths(python)).toEqual(["svc/", "svc/main.py", "svc/run.sh", "svc/.txt"]);
+  });
+
+  it("can fill in names that a name check then refuses", () => {
+    const tree = instantiateTemplate(service, resolveParamValues(templateParams(service), { name: "../evil" }));
+    expect(tree.name).toBe("../evil");
+    expect(nestedNameError(tree)).toEqual({ name: "../evil", message: "Contains “/”, the path separator" });
+  });
+
+  it("skips children that aren't entries and keeps unknown placeholders", () => {
+    const tree = instantiateTemplate({ name: "{{x}}", kind: "folder", children: [null, "a.txt", { name: "b.txt", kind: "file" }] }, {});
+    expect(tree).toEqual({ name: "{{x}}", kind: "folder", children: [{ name: "b.txt", kind: "file" }] });
+  });
+});
+
+describe("built-in templates", () => {
+  it("fill in defaults for the Node package", () => {
+    expect(resolveParamValues(templateParams(nodePackage), { projectName: "  ", typescript: false })).toEqual({
+      projectName: "my-package",
+      packageName: "my-package",
+      typescript: false,
+      tests: true,
+      ci: false,
+      docker: false,
+      packageManager: "npm",
+    });
+  });
+
+  it("instantiate the Node package from the chosen values", () => {
+    const values = resolveParamValues(templateParams(nodePackage), {
+      projectName: "lib",
+      typescript: false,
+      ci: true,
+      packageManager: "pnpm",
+    });
+    const tree = instantiateTemplate(nodePackage, values);
+    expect(paths(tree)).toEqual([
+      "lib/",
+      "lib/src/",
+      "lib/src/index.js",
+      "lib/tests/",
+      "lib/tests/index.test.js",
+      "lib/.github/",
+      "lib/.github/workflows/",
+      "lib/.github/workflows/ci.yml",
+      "lib/package.json",
+      "lib/pnpm-lock.yaml",
+      "lib/README.md",
+      "lib/.gitignore",
+    ]);
+    expect(tree.children[0].children[0].description).toBe("entry point of lib");
+  });
+
+  it("come first, grouped under their own category", () => {
+    const mine = { id: "m", name: "Mine", tree: nodePackage };
+    const work = { id: "w", name: "Work", category: "Work", tree: nodePackage };
+    const groups = groupTemplates([...BUILTIN_TEMPLATES, mine, work]);
+    expect(groups.map(([category, list]) => [category, list.length])).toEqual([
+      [BUILTIN_CATEGORY, BUILTIN_TEMPLATES.length],
+      ["My templates", 1],
+      ["Work", 1],
+    ]);
+  });
+});
+
+describe("template packs", () => {
+  it("round-trips through templatePack", () => {
+    const pack = JSON.stringify(templatePack([{ id: "a", name: "Mine", category: "Work", tree: nodePackage }]));
+    const { templates, problems } = parseTemplatePack(pack);
+    expect(problems).toEqual([]);
+    expect(templates).toHaveLength(1);
+    expect(templates[0]).toMatchObject({ name: "Mine", category: "Work" });
+    expect(instantiateTemplate(templates[0].tree, resolveParamValues(templateParams(templates[0].tree), {}))).toEqual(
+      instantiateTemplate(nodePackage, resolveParamValues(templateParams(nodePackage), {}))
+    );
+  });
+
+  it("leaves out malformed templates and entries and says so", () => {
+    const text = JSON.stringify([
+      { name: "No tree" },
+      { name: "Odd", tree: { name: "root", children: [{ kind: "file" }, { name: "ok.txt", kind: "file", children: [1] }, { name: "d", children: 5 }] } },
+    ]);
+    const { templates, problems } = parseTemplatePack(text);
+    expect(templates[0].tree).toEqual({
+      name: "root",
+      kind: "folder",
+      children: [
+        { name: "ok.txt", kind: "file" },
+        { name: "d", kind: "folder", children: [] },
+      ],
+    });
+    expect(problems).toEqual([
+      "template 1: needs a name and a tree, left out",
+      "Odd/root: an entry without a name was left out",
+      'Odd/root/d: "children" is not a list and was left out',
+    ]);
+  });
+
+  it("refuses files that aren't packs", () => {
+    expect(() => parseTemplatePack('{"type":"other"}')).toThrow("not a template pack");
+    expect(() => parseTemplatePack('[{"name":"x"}]')).toThrow("the pack contains no usable templates");
+  });
+});
@@ -0,0 +1,191 @@
+// `tree`-style text: the export, and reading pasted or imported trees back.
+
+// Names that are files even though they have no extension.
+const EXTENSIONLESS_FILES = new Set([
+  "Dockerfile",
+  "Makefile",
+  "Procfile",
+  "Gemfile",
+  "Rakefile",
+  "Jenkinsfile",
+  "Vagrantfile",
+  "LICENSE",
+  "LICENCE",
+  "README",
+  "CHANGELOG",
+  "AUTHORS",
+  "CODEOWNERS",
+  "NOTICE",
+]);
+
+/**
+ * Parses `tree`-style text into its top-level entries, in the nested shape used
+ * by buildFromNested (usually there is a single root folder).
+ * Understands the box-drawing output of unicodeTree(), the ASCII variants
+ * (`|--`, `` `-- ``, `+--`) and plain space/tab indentation. A name like
+ * `src/main/java` is a collapsed chain and becomes nested folders. Dashes with
+ * nothing in front of them only count as a connector when a space follows, so
+ * a name like "-draft.md" keeps its dash.
+ *
+ * Kind inference: a trailing "/" or having children makes a folder, and so
+ * does a leaf without a dot in its name (unless it is a known extensionless file).
+ *
+ * With {outline:true} (outline / tree.txt files, see outlineText) a trailing
+ * "/" on any line means every folder is marked, so unmarked leaves are files,
+ * and every connector needs a space after it.
+ */
+export function parseTextTreeItems(text, { outline = false } = {}) {
+  const rows = [];
+  String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((raw) => {
+      const line = raw.replace(/\t/g, "    ").replace(/\s+$/, "");
+      if (!line.trim()) return;
+      // `tree` prints a summary footer, e.g. "3 directories, 5 files"
+      if (/^\d+ director(y|ies)(, \d+ files?)?$/.test(line.trim())) return;
+
+      // a "|" right before dashes starts an ASCII connector rather than belonging to the indent
+      const m = line.match(
+        outline
+          ? /^((?:[\s│┃]|\|(?!-))*)([├└┣┗`+\\|]?[─━-]+\s+)?(.*)$/
+          : /^((?:[\s│┃]|\|(?!-))*)([├└┣┗`+\\|][─━-]+\s*|[─━-]+\s+)?(.*)$/
+      );
+      // "name   # comment" carries a description (see unicodeTree); " \# " is a "#" in the name
+      const commented = m[3].match(/^(.*?\S)\s+#\s(.*)$/);
+      let name = (commented ? commented[1] : m[3]).trim();
+      const description = commented ? commented[2].trim() : "";
+      const explicitFolder = name.endsWith("/") && name.length > 1;
+      if (explicitFolder) name = name.replace(/\/+$/, "");
+      if (!name) return;
+
+      rows.push({ col: m[1].length + (m[2] || "").length, name, description, explicitFolder, children: [] });
+    });
+
+  const top = { col: -1, children: [] };
+  const stack = [top];
+  rows.forEach((row) => {
+    while (stack.length > 1 && stack[stack.length - 1].col >= row.col) stack.pop();
+    stack[stack.length - 1].children.push(row);
+    stack.push(row);
+  });
+
+  const slashMarked = outline && rows.some((r) => r.explicitFolder);
+
+  function finish(row) {
+    const chain = row.name
+      .split("/")
+      .filter(Boolean)
+      .map((part) => part.replace(/(\s)\\#(?=\s|$)/g, "$1#"));
+    const name = chain.length ? chain.pop() : row.name;
+    const isFolder =
+      row.explicitFolder ||
+      row.children.length > 0 ||
+      (!slashMarked && !name.includes(".") && !EXTENSIONLESS_FILES.has(name));
+    let out = { name, kind: isFolder ? "folder" : "file" };
+    if (row.description) out.description = row.description;
+    if (isFolder) out.children = row.children.map(finish);
+    while (chain.length) out = { name: chain.pop(), kind: "folder", children: [out] };
+    return out;
+  }
+
+  return top.children.map(finish);
+}
+
+// A "#" after a space would read back as the start of a description, so writers escape it as "\#".
+export function escapeTreeName(name) {
+  return name.replace(/(\s)#(?=\s|$)/g, "$1\\#");
+}
+
+export function parseTextTree(text, options) {
+  const items = parseTextTreeItems(text, options);
+  if (!items.length) return null;
+
+  // A single top line that everything else is indented under is the root.
+  if (items.length === 1) {
+    const [root] = items;
+    return { ...root, name: root.name === "." ? "PROJECT" : root.name, kind: "folder", children: root.children || [] };
+  }
+  return { name: "PROJECT", kind: "folder", children: items };
+}
+
+export const TREE_CONNECTORS = {
+  unicode: { tee: "├── ", last: "└── ", pipe: "│   ", space: "    " },
+  ascii: { tee: "|-- ", last: "`-- ", pipe: "|   ", space: "    " },
+};
+export const TREE_TEXT_TOGGLES = [
+  ["ascii", "ASCII only"],
+  ["trailingSlash", "Trailing / on folders"],
+  ["respectCollapsed", "Skip collapsed folders"],
+  ["collapseChains", "Collapse single-child chains"],
+  ["counts", "Item counts"],
+];
+export const DEFAULT_TREE_TEXT_OPTIONS = {
+  ascii: false,
+  trailingSlash: false,
+  maxDepth: 0, // 0 = every level
+  respectCollapsed: false,
+  collapseChains: false,
+  counts: false,
+};
+
+// Folders whose contents are left out (depth limit, collapsed) get a "…" child row.
+export function unicodeTree(nodes, rootId, options = {}) {
+  const { ascii, trailingSlash, maxDepth, respectCollapsed, collapseChains, counts } = {
+    ...DEFAULT_TREE_TEXT_OPTIONS,
+    ...options,
+  };
+  const lines = TREE_CONNECTORS[ascii ? "ascii" : "unicode"];
+  const isOpen = (n) => !respectCollapsed || n.isOpen;
+
+  // With collapseChains a row covers a run of single-child folders ("src/main/java");
+  // `last` is the folder whose children come next.
+  function label(node, chain) {
+    let last = node;
+    let text = escapeTreeName(node.name);
+    while (
+      chain &&
+      last.kind === "folder" &&
+      isOpen(last) &&
+      last.children.length === 1 &&
+      nodes[last.children[0]]?.kind === "folder"
+    ) {
+      last = nodes[last.children[0]];
+      text += "/" + escapeTreeName(last.name);
+    }
+    if (last.kind === "folder" && trailingSlash) text += "/";
+    if (last.kind === "folder" && counts) {
+      const n = last.children.length;
+      text += ` (${n} item${n === 1 ? "" : "s"})`;
+    }
+    return { text, last };
+  }
+
+  const root = nodes[rootId];
+  const rows = [{ text: label(root, false).text, description: root.description }];
+
+  function walk(folder, prefix, depth) {
+    const children = folder.children || [];
+    if (!children.length) return;
+    if (!isOpen(folder) || (maxDepth && depth >= maxDepth)) {
+      rows.push({ text: prefix + lines.last + "…" });
+      return;
+    }
+
+    children.forEach((cid, idx) => {
+      const isLast = idx === children.length - 1;
+      const { text, last } = label(nodes[cid], collapseChains);
+      rows.push({ text: prefix + (isLast ? lines.last : lines.tee) + text, description: last.description });
+
+      if (last.kind === "folder") walk(last, prefix + (isLast ? lines.space : lines.pipe), depth + 1);
+    });
+  }
+
+  if (root.kind === "folder") walk(root, "", 0);
+
+  // descriptions become "# comment"s lined up one column past the longest described row
+  const width = Math.max(0, ...rows.filter((r) => r.description).map((r) => r.text.length));
+  return rows
+    .map((r) => (r.description ? `${r.text.padEnd(width)}  # ${r.description}` : r.text))
+    .join("\n");
+}
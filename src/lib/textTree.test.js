@@ -0,0 +1,144 @@
+import { describe, expect, it } from "vitest";
+import { ROOT_ID, buildFromNested } from "./tree.js";
+import { parseTextTree, parseTextTreeItems, unicodeTree } from "./textTree.js";
+
+describe("parseTextTree", () => {
+  it("reads `tree` output with box-drawing connectors", () => {
+    const text = ["app", "├── src", "│   ├── main.js", "│   └── utils", "├── Dockerfile", "└── README.md"].join("\n");
+    expect(parseTextTree(text)).toEqual({
+      name: "app",
+      kind: "folder",
+      children: [
+        {
+          name: "src",
+          kind: "folder",
+          children: [
+            { name: "main.js", kind: "file" },
+            { name: "utils", kind: "folder", children: [] },
+          ],
+        },
+        { name: "Dockerfile", kind: "file" },
+        { name: "README.md", kind: "file" },
+      ],
+    });
+  });
+
+  it("reads the ASCII connectors and plain indentation alike", () => {
+    const unicode = parseTextTree("app\n├── src\n│   └── a.js\n└── b.txt");
+    expect(parseTextTree("app\n|-- src\n|   `-- a.js\n`-- b.txt")).toEqual(unicode);
+    expect(parseTextTree("app\n+-- src\n|   \\-- a.js\n\\-- b.txt")).toEqual(unicode);
+    expect(parseTextTree("app\n  src\n    a.js\n  b.txt")).toEqual(unicode);
+    expect(parseTextTree("app\n\tsrc\n\t\ta.js\n\tb.txt")).toEqual(unicode);
+  });
+
+  it("infers kinds from dots, children, trailing slashes and known extensionless files", () => {
+    const [root] = parseTextTreeItems("app\n  lib\n  Makefile\n  notes.md\n  docs\n    x.md\n  v1.0/");
+    expect(root.children.map((c) => [c.name, c.kind])).toEqual([
+      ["lib", "folder"],
+      ["Makefile", "file"],
+      ["notes.md", "file"],
+      ["docs", "folder"],
+      ["v1.0", "folder"],
+    ]);
+  });
+
+  it("skips the `tree` summary footer and names a \".\" root PROJECT", () => {
+    expect(parseTextTree(".\n├── a.txt\n└── b.txt\n\n0 directories, 2 files")).toEqual({
+      name: "PROJECT",
+      kind: "folder",
+      children: [
+        { name: "a.txt", kind: "file" },
+        { name: "b.txt", kind: "file" },
+      ],
+    });
+  });
+
+  it("keeps a leading dash in names that have no space after it", () => {
+    expect(parseTextTreeItems("-draft.md")[0].name).toBe("-draft.md");
+    expect(parseTextTreeItems("--verbose.log", { outline: true })[0].name).toBe("--verbose.log");
+    const name = (line) => parseTextTreeItems(line)[0].name;
+    expect(["- a.md", "-b.md", "-- c.md", "|--d.md", "└──e.md"].map(name)).toEqual(["a.md", "-b.md", "c.md", "d.md", "e.md"]);
+  });
+
+  it("wraps several top-level lines in a PROJECT folder, and gives null for blank text", () => {
+    expect(parseTextTree("a.txt\nb.txt").name).toBe("PROJECT");
+    expect(parseTextTree("  \n\r\n")).toBeNull();
+  });
+});
+
+const sample = {
+  name: "app",
+  kind: "folder",
+  children: [
+    {
+      name: "src",
+      kind: "folder",
+      children: [
+        { name: "main.js", kind: "file", description: "entry point" },
+        { name: "utils", kind: "folder", children: [] },
+      ],
+    },
+    { name: "Dockerfile", kind: "file" },
+    { name: "README.md", kind: "file" },
+  ],
+};
+
+describe("unicodeTree", () => {
+  const nodes = buildFromNested(sample);
+
+  it("writes text that parseTextTree reads back, in every connector style", () => {
+    expect(parseTextTree(unicodeTree(nodes, ROOT_ID))).toEqual(sample);
+    expect(parseTextTree(unicodeTree(nodes, ROOT_ID, { trailingSlash: true }))).toEqual(sample);
+    expect(parseTextTree(unicodeTree(nodes, ROOT_ID, { ascii: true }))).toEqual(sample);
+  });
+
+  it("writes collapsed single-child chains that read back as nested folders", () => {
+    const nested = {
+      name: "app",
+      kind: "folder",
+      children: [{ name: "a", kind: "folder", children: [{ name: "b", kind: "folder", children: [{ name: "c.txt", kind: "file" }] }] }],
+    };
+    const text = unicodeTree(buildFromNested(nested), ROOT_ID, { collapseChains: true });
+    expect(text).toBe("app\n└── a/b\n    └── c.txt");
+    expect(parseTextTree(text)).toEqual(nested);
+  });
+
+  it("lines up descriptions and marks cut-off or collapsed folders with …", () => {
+    expect(unicodeTree(nodes, ROOT_ID, { maxDepth: 1 })).toBe(
+      ["app", "├── src", "│   └── …", "├── Dockerfile", "└── README.md"].join("\n")
+    );
+    const closed = { ...nodes, [nodes[ROOT_ID].children[0]]: { ...nodes[nodes[ROOT_ID].children[0]], isOpen: false } };
+    expect(unicodeTree(closed, ROOT_ID, { respectCollapsed: true }).split("\n")[2]).toBe("│   └── …");
+    expect(unicodeTree(nodes, ROOT_ID).split("\n")[2]).toBe("│   ├── main.js  # entry point");
+  });
+
+  it("escapes a \" # \" in names so it doesn't read back as a description", () => {
+    const nested = {
+      name: "app",
+      kind: "folder",
+      children: [
+        { name: "x #", kind: "folder", children: [{ name: "y # 2", kind: "folder", children: [] }] },
+        { name: "a # b.txt", kind: "file", description: "has # too" },
+        { name: "c#d.txt", kind: "file" },
+      ],
+    };
+    const nodes = buildFromNested(nested);
+    expect(unicodeTree(nodes, ROOT_ID, { collapseChains: true }).split("\n")).toEqual([
+      "app",
+      "├── x \\#/y \\# 2",
+      "├── a \\# b.txt  # has # too",
+      "└── c#d.txt",
+    ]);
+    expect(parseTextTree(unicodeTree(nodes, ROOT_ID, { collapseChains: true }))).toEqual(nested);
+    expect(parseTextTree(unicodeTree(nodes, ROOT_ID), { outline: true })).toEqual(nested);
+  });
+
+  it("adds item counts to folders", () => {
+    expect(unicodeTree(nodes, ROOT_ID, { counts: true, ascii: true }).split("\n").slice(0, 4)).toEqual([
+      "app (3 items)",
+      "|-- src (2 items)",
+      "|   |-- main.js  # entry point",
+      "|   `-- utils (0 items)",
+    ]);
+  });
+});
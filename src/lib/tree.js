@@ -0,0 +1,441 @@
+// The node map ({id: node}) and the operations on it.
+
+export const ROOT_ID = "root";
+
+export function uid() {
+  return Math.random().toString(16).slice(2, 10);
+}
+
+export function isDescendant(nodes, nodeId, maybeAncestorId) {
+  // returns true if nodeId is inside maybeAncestorId's subtree
+  let cur = nodes[nodeId];
+  while (cur && cur.parent) {
+    if (cur.parent === maybeAncestorId) return true;
+    cur = nodes[cur.parent];
+  }
+  return false;
+}
+
+export function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Data model: nodes keyed by id.
+ * Folder node:
+ *   {id, kind:"folder", name, parent, children:[ids], isOpen:boolean, description?}
+ * File node:
+ *   {id, kind:"file", name, parent, description?}
+ * `description` is an optional one-line note shown as a comment in exports.
+ */
+export function defaultState() {
+  return {
+    [ROOT_ID]: {
+      id: ROOT_ID,
+      kind: "folder",
+      name: "PROJECT",
+      parent: null,
+      children: [],
+      isOpen: true,
+    },
+  };
+}
+
+export function ensureFolder(nodes, name, parentId) {
+  const parent = nodes[parentId];
+  const existingId =
+    parent.children.find((cid) => nodes[cid]?.kind === "folder" && nodes[cid]?.name === name) || null;
+  if (existingId) return existingId;
+
+  const id = uid();
+  nodes[id] = { id, kind: "folder", name, parent: parentId, children: [], isOpen: true };
+  parent.children.push(id);
+  return id;
+}
+
+export function ensureFile(nodes, name, parentId) {
+  const parent = nodes[parentId];
+  const existingId =
+    parent.children.find((cid) => nodes[cid]?.kind === "file" && nodes[cid]?.name === name) || null;
+  if (existingId) return existingId;
+
+  const id = uid();
+  nodes[id] = { id, kind: "file", name, parent: parentId };
+  parent.children.push(id);
+  return id;
+}
+
+// "./src//main.js" -> ["src", "main.js"]
+export function splitPath(path) {
+  return path.split("/").filter((part) => part && part !== ".");
+}
+
+/**
+ * Adds slash-separated paths ([{path, kind}]) below a folder, creating missing
+ * folders on the way and reusing entries that already exist. Every folder on
+ * the way is opened. A path that needs a folder where a file of that name is
+ * (or the other way round) is skipped and listed in `clashes` as {path, name, kind}.
+ * Returns {nodes, ids, added, clashes}: ids holds the last entry of each added path.
+ */
+export function addPaths(nodes, parentId, entries) {
+  const copy = clone(nodes);
+  const before = Object.keys(copy).length;
+  const ids = [];
+  const clashes = [];
+  const child = (pid, name, kind) =>
+    copy[pid].children.find((cid) => copy[cid].name === name && (!kind || copy[cid].kind === kind));
+
+  entries.forEach(({ path, kind }) => {
+    const parts = splitPath(path);
+    if (!parts.length) return;
+    const kindAt = (i) => (i < parts.length - 1 ? "folder" : kind);
+
+    // below the first missing part everything is new, so only existing parts can clash
+    for (let i = 0, pid = parentId; i < parts.length; i++) {
+      const same = child(pid, parts[i], kindAt(i));
+      if (same) {
+        pid = same;
+        continue;
+      }
+      const other = child(pid, parts[i]);
+      if (other) clashes.push({ path, name: parts[i], kind: copy[other].kind });
+      if (other) return;
+      break;
+    }
+
+    let pid = parentId;
+    copy[pid].isOpen = true;
+    parts.slice(0, -1).forEach((part) => {
+      pid = ensureFolder(copy, part, pid);
+      copy[pid].isOpen = true;
+    });
+    const leaf = parts[parts.length - 1];
+    ids.push(kind === "folder" ? ensureFolder(copy, leaf, pid) : ensureFile(copy, leaf, pid));
+  });
+  return { nodes: copy, ids, added: Object.keys(copy).length - before, clashes };
+}
+
+const C_ESCAPES = { a: "\x07", b: "\b", t: "\t", n: "\n", v: "\v", f: "\f", r: "\r" };
+
+// The inside of a C-quoted path as git prints it: "caf\303\251.txt" (octal UTF-8 bytes), "a \"b\"".
+function unquoteCPath(text) {
+  const encoder = new TextEncoder();
+  const bytes = [];
+  for (const [, escape, plain] of text.matchAll(/\\([0-7]{1,3}|.)|([^\\]+|\\$)/gs)) {
+    if (plain !== undefined) bytes.push(...encoder.encode(plain));
+    else if (/^[0-7]/.test(escape)) bytes.push(parseInt(escape, 8) & 0xff);
+    else bytes.push(...encoder.encode(C_ESCAPES[escape] ?? escape));
+  }
+  return new TextDecoder().decode(Uint8Array.from(bytes));
+}
+
+/**
+ * Reads a list of paths, one per line (`git ls-files`, `find .`), into
+ * [{path, kind}]. A line ending in "/" is a folder, and so is any path that
+ * another line goes through; everything else is a file. Quoted lines are
+ * C-quoted, as git prints unusual names; in unquoted lines "\" separates
+ * folders like "/" does (Windows paths).
+ */
+export function parsePathList(text) {
+  const folders = new Map(); // path -> ends with "/"
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((raw) => {
+      const quoted = raw.trim().match(/^"(.*)"$/);
+      const line = quoted ? unquoteCPath(quoted[1]) : raw.trim().replace(/\\/g, "/");
+      const path = splitPath(line).join("/");
+      if (path) folders.set(path, folders.get(path) || line.endsWith("/"));
+    });
+
+  const parents = new Set();
+  folders.forEach((_, path) => {
+    const parts = path.split("/");
+    for (let i = 1; i < parts.length; i++) parents.add(parts.slice(0, i).join("/"));
+  });
+  return [...folders].map(([path, slash]) => ({ path, kind: slash || parents.has(path) ? "folder" : "file" }));
+}
+
+// Adds nested entries (toNested shape) under parentId at `index`, with fresh ids.
+// Mutates `nodes` and returns the ids of the top-level entries.
+export function insertNested(nodes, parentId, items, index = nodes[parentId].children.length) {
+  function add(pid, c, at) {
+    const id = uid();
+    const kind = (c.kind || "folder") === "folder" ? "folder" : "file";
+    const name = c.name || "untitled";
+    if (kind === "folder") {
+      nodes[id] = { id, kind, name, parent: pid, children: [], isOpen: true };
+    } else {
+      nodes[id] = { id, kind, name, parent: pid };
+    }
+    if (c.description) nodes[id].description = String(c.description);
+    nodes[pid].children.splice(at, 0, id);
+    if (kind === "folder") (c.children || []).forEach((gc, i) => add(id, gc, i));
+    return id;
+  }
+
+  return items.map((c, i) => add(parentId, c, index + i));
+}
+
+export function buildFromNested(nested) {
+  const nodes = defaultState();
+  nodes[ROOT_ID].name = nested?.name || "PROJECT";
+  if (nested?.description) nodes[ROOT_ID].description = String(nested.description);
+  insertNested(nodes, ROOT_ID, nested?.children || []);
+  return nodes;
+}
+
+export function toNested(nodes, rootId) {
+  function build(id) {
+    const n = nodes[id];
+    const obj = { name: n.name, kind: n.kind };
+    if (n.description) obj.description = n.description;
+    if (n.kind === "folder") obj.children = (n.children || []).map(build);
+    return obj;
+  }
+  return build(rootId);
+}
+
+/**
+ * Checks the flat structure.json form ({root_id, nodes}) and builds a repaired
+ * copy alongside. Returns {problems:[{id, message}], nodes} where `nodes` is
+ * always loadable: root renamed to ROOT_ID, dangling and duplicate child ids
+ * dropped, cycles broken, parent back-links fixed, unreachable nodes removed.
+ */
+export function validateStructure(data) {
+  if (!data?.nodes || typeof data.nodes !== "object" || Array.isArray(data.nodes)) {
+    throw new Error('Expected a "nodes" object.');
+  }
+
+  // Maps without a prototype, so ids like "constructor" or "__proto__" are just ids.
+  const problems = [];
+  const originalIds = Object.create(null); // renamed id -> id in the file, so reports match what the user sees
+  const shown = (id) => originalIds[id] ?? id;
+  const report = (id, message) => problems.push({ id: shown(id), message });
+  const nodes = Object.create(null);
+  const has = (id) => Object.hasOwn(nodes, id);
+  Object.entries(clone(data.nodes)).forEach(([key, n]) => {
+    if (n && typeof n === "object" && !Array.isArray(n)) nodes[key] = n;
+    else report(key, "is not an object; removed");
+  });
+
+  // -- root: exists, is a folder, lives under ROOT_ID
+  const rootId = data.root_id;
+  if (!rootId || !has(rootId)) {
+    const what = rootId ? `root node "${rootId}" is missing` : "root_id is missing";
+    if (has(ROOT_ID)) {
+      report(rootId || "(root_id)", `${what}; using "${ROOT_ID}"`);
+    } else {
+      report(rootId || "(root_id)", `${what}; a new root was created`);
+      nodes[ROOT_ID] = defaultState()[ROOT_ID];
+      // adopt top-level nodes
+      Object.entries(nodes).forEach(([key, n]) => {
+        if (key !== ROOT_ID && (n.parent == null || n.parent === data.root_id)) {
+          n.parent = ROOT_ID;
+          nodes[ROOT_ID].children.push(key);
+        }
+      });
+    }
+  } else if (rootId !== ROOT_ID) {
+    // the app addresses the root as ROOT_ID; move whatever holds that key out of the way
+    const remap = new Map([[rootId, ROOT_ID]]);
+    if (has(ROOT_ID)) remap.set(ROOT_ID, uid());
+    const renamed = Object.create(null);
+    remap.forEach((to, from) => (originalIds[to] = from));
+    Object.entries(nodes).forEach(([key, n]) => {
+      const id = remap.get(key) ?? key;
+      renamed[id] = { ...n, id: remap.get(n.id) ?? n.id };
+      if (remap.has(n.parent)) renamed[id].parent = remap.get(n.parent);
+      if (Array.isArray(n.children)) renamed[id].children = n.children.map((cid) => remap.get(cid) ?? cid);
+    });
+    Object.keys(nodes).forEach((k) => delete nodes[k]);
+    Object.assign(nodes, renamed);
+  }
+
+  // -- per-node shape
+  Object.entries(nodes).forEach(([key, n]) => {
+    if (n.id !== key) {
+      report(key, `id field is "${n.id}" but the node is stored under "${key}"`);
+      n.id = key;
+    }
+    if (typeof n.name !== "string" || !n.name.trim()) {
+      report(key, "has no name; named \"untitled\"");
+      n.name = "untitled";
+    }
+    if ("description" in n && typeof n.description !== "string") {
+      report(key, "description is not text; removed");
+      delete n.description;
+    }
+    if (n.kind !== "folder" && n.kind !== "file") {
+      const kind = Array.isArray(n.children) ? "folder" : "file";
+      report(key, `has unknown kind ${JSON.stringify(n.kind)}; treated as ${kind}`);
+      n.kind = kind;
+    }
+    if (n.kind === "file" && "children" in n) {
+      if (Array.isArray(n.children) && n.children.length) {
+        report(key, "is a file but has children; turned into a folder");
+        n.kind = "folder";
+      } else {
+        report(key, "is a file but has a children field; removed");
+        delete n.children;
+      }
+    }
+    if (n.kind === "folder") {
+      if (!Array.isArray(n.children)) {
+        report(key, "is a folder without a children list");
+        n.children = [];
+      }
+      if (typeof n.isOpen !== "boolean") n.isOpen = true;
+    }
+  });
+
+  const root = nodes[ROOT_ID];
+  if (root.kind !== "folder") {
+    report(ROOT_ID, "root is a file; turned into a folder");
+    root.kind = "folder";
+    root.children = [];
+    root.isOpen = true;
+  }
+  if (root.parent != null) {
+    report(ROOT_ID, "root has a parent");
+    root.parent = null;
+  }
+
+  // -- walk from the root: every node must be listed exactly once by its parent
+  const seen = new Set([ROOT_ID]);
+  function walk(folderId, path) {
+    const folder = nodes[folderId];
+    folder.children = folder.children.filter((cid) => {
+      if (!has(cid)) {
+        report(folderId, `lists missing child "${cid}"; dropped`);
+        return false;
+      }
+      if (path.has(cid)) {
+        report(cid, `forms a cycle through "${shown(folderId)}"; link broken`);
+        return false;
+      }
+      if (seen.has(cid)) {
+        report(cid, `is listed again by "${shown(folderId)}"; duplicate dropped`);
+        return false;
+      }
+      seen.add(cid);
+      if (nodes[cid].parent !== folderId) {
+        report(cid, `parent is "${shown(nodes[cid].parent)}" but it is listed by "${shown(folderId)}"; parent fixed`);
+        nodes[cid].parent = folderId;
+      }
+      return true;
+    });
+    folder.children.forEach((cid) => {
+      if (nodes[cid].kind === "folder") walk(cid, new Set([...path, cid]));
+    });
+  }
+  walk(ROOT_ID, new Set([ROOT_ID]));
+
+  Object.keys(nodes).forEach((id) => {
+    if (seen.has(id)) return;
+    report(id, "is not reachable from the root (orphan); removed");
+    delete nodes[id];
+  });
+
+  return { problems, nodes };
+}
+
+// Drops the root, unknown ids and anything already inside another selected folder,
+// and returns the rest in tree (pre-order) order.
+export function topLevelIds(nodes, ids) {
+  const picked = new Set(ids.filter((id) => id !== ROOT_ID && nodes[id]));
+  const hasPickedAncestor = (id) => {
+    for (let p = nodes[id].parent; p; p = nodes[p]?.parent) {
+      if (picked.has(p)) return true;
+    }
+    return false;
+  };
+  const result = [];
+  const stack = [ROOT_ID];
+  while (stack.length) {
+    const id = stack.pop();
+    const n = nodes[id];
+    if (!n) continue;
+    if (picked.has(id) && !hasPickedAncestor(id)) result.push(id);
+    if (n.kind === "folder") {
+      for (let i = (n.children || []).length - 1; i >= 0; i--) stack.push(n.children[i]);
+    }
+  }
+  return result;
+}
+
+export function removeSubtrees(nodes, nodeIds) {
+  const copy = clone(nodes);
+
+  topLevelIds(copy, nodeIds).forEach((nodeId) => {
+    const parentId = copy[nodeId].parent;
+
+    // collect subtree ids
+    const stack = [nodeId];
+    for (let i = 0; i < stack.length; i++) {
+      const n = copy[stack[i]];
+      if (n?.kind === "folder") {
+        (n.children || []).forEach((cid) => stack.push(cid));
+      }
+    }
+
+    // remove from parent's children
+    if (parentId && copy[parentId]?.kind === "folder") {
+      copy[parentId].children = copy[parentId].children.filter((cid) => cid !== nodeId);
+    }
+
+    // delete nodes
+    stack.forEach((id) => {
+      if (id !== ROOT_ID) delete copy[id];
+    });
+  });
+
+  return copy;
+}
+
+export function moveNodes(nodes, activeIds, overId, mode) {
+  // mode:
+  // - "into" => put the nodes into over folder (append)
+  // - "before" => place them before overId in overId's parent
+  // - "after"  => place them after overId in overId's parent
+  // Relative order is kept; an illegal move returns `nodes` unchanged.
+  const copy = clone(nodes);
+  const over = copy[overId];
+  const moving = topLevelIds(copy, activeIds);
+
+  if (!over || !moving.length) return nodes;
+  if (moving.includes(overId)) return nodes;
+
+  const targetParentId = mode === "into" ? overId : over.parent;
+  const targetParent = copy[targetParentId];
+  if (!targetParent || targetParent.kind !== "folder") return nodes;
+
+  // prevent moving a folder into its own subtree
+  if (moving.some((id) => id === targetParentId || isDescendant(copy, targetParentId, id))) return nodes;
+
+  // remove from old parents
+  moving.forEach((id) => {
+    const oldParent = copy[copy[id].parent];
+    if (oldParent?.kind === "folder") {
+      oldParent.children = oldParent.children.filter((cid) => cid !== id);
+    }
+    copy[id].parent = targetParentId;
+  });
+
+  if (mode === "into") {
+    targetParent.children.push(...moving);
+    targetParent.isOpen = true;
+    return copy;
+  }
+
+  const idx = targetParent.children.indexOf(overId);
+  const insertAt = mode === "before" ? Math.max(0, idx) : idx + 1;
+  targetParent.children.splice(insertAt, 0, ...moving);
+
+  return copy;
+}
+
+export function setChildrenOrder(nodes, parentId, newOrder) {
+  const copy = clone(nodes);
+  copy[parentId].children = newOrder;
+  return copy;
+}
@@ -0,0 +1,249 @@
+import { describe, expect, it } from "vitest";
+import {
+  ROOT_ID,
+  addPaths,
+  buildFromNested,
+  isDescendant,
+  moveNodes,
+  parsePathList,
+  removeSubtrees,
+  toNested,
+  topLevelIds,
+  validateStructure,
+} from "./tree.js";
+
+const folder = (id, parent, children, name = id) => ({ id, kind: "folder", name, parent, children, isOpen: true });
+const file = (id, parent, name = id) => ({ id, kind: "file", name, parent });
+const names = (nodes, id = ROOT_ID) => (nodes[id].children || []).map((cid) => nodes[cid].name);
+
+describe("buildFromNested / toNested", () => {
+  it("round-trips names, kinds, order and descriptions", () => {
+    const nested = {
+      name: "app",
+      kind: "folder",
+      description: "the app",
+      children: [
+        { name: "src", kind: "folder", children: [{ name: "b.js", kind: "file" }, { name: "a.js", kind: "file" }] },
+        { name: "README.md", kind: "file", description: "read me" },
+      ],
+    };
+    expect(toNested(buildFromNested(nested), ROOT_ID)).toEqual(nested);
+  });
+
+  it("fills in what a nested entry leaves out", () => {
+    const nodes = buildFromNested({ children: [{ name: "src" }, { kind: "file" }] });
+    expect(toNested(nodes, ROOT_ID)).toEqual({
+      name: "PROJECT",
+      kind: "folder",
+      children: [
+        { name: "src", kind: "folder", children: [] },
+        { name: "untitled", kind: "file" },
+      ],
+    });
+    const [src] = nodes[ROOT_ID].children;
+    expect(nodes[src]).toMatchObject({ parent: ROOT_ID, isOpen: true });
+    expect(isDescendant(nodes, src, ROOT_ID)).toBe(true);
+    expect(isDescendant(nodes, ROOT_ID, src)).toBe(false);
+  });
+});
+
+describe("validateStructure", () => {
+  it("leaves a sound structure alone", () => {
+    const data = { root_id: ROOT_ID, nodes: { root: folder("root", null, ["a"]), a: file("a", "root") } };
+    const { problems, nodes } = validateStructure(data);
+    expect(problems).toEqual([]);
+    expect({ ...nodes }).toEqual(data.nodes);
+  });
+
+  it("needs a nodes object", () => {
+    expect(() => validateStructure({})).toThrow('Expected a "nodes" object.');
+    expect(() => validateStructure({ nodes: [] })).toThrow();
+  });
+
+  it("drops dangling and duplicate child ids and fixes parent links", () => {
+    const { problems, nodes } = validateStructure({
+      root_id: "root",
+      nodes: { root: folder("root", null, ["a", "ghost", "a", "b"]), a: file("a", "root"), b: file("b", "elsewhere") },
+    });
+    expect(names(nodes)).toEqual(["a", "b"]);
+    expect(nodes.b.parent).toBe(ROOT_ID);
+    expect(problems.map((p) => p.message)).toEqual([
+      'lists missing child "ghost"; dropped',
+      'is listed again by "root"; duplicate dropped',
+      'parent is "elsewhere" but it is listed by "root"; parent fixed',
+    ]);
+  });
+
+  it("breaks cycles and removes what is no longer reachable", () => {
+    const { problems, nodes } = validateStructure({
+      root_id: "root",
+      nodes: {
+        root: folder("root", null, ["a"]),
+        a: folder("a", "root", ["b"]),
+        b: folder("b", "a", ["a"]),
+        stray: file("stray", null),
+      },
+    });
+    expect(names(nodes, "b")).toEqual([]);
+    expect(nodes.stray).toBeUndefined();
+    expect(problems).toEqual([
+      { id: "a", message: 'forms a cycle through "b"; link broken' },
+      { id: "stray", message: "is not reachable from the root (orphan); removed" },
+    ]);
+  });
+
+  it("moves a root stored under another id to ROOT_ID, keeping ids in reports", () => {
+    const { problems, nodes } = validateStructure({
+      root_id: "top",
+      nodes: { top: folder("top", null, ["root"], "app"), root: file("root", "top", "a.txt"), x: file("x", "nowhere") },
+    });
+    expect(nodes[ROOT_ID].name).toBe("app");
+    expect(names(nodes)).toEqual(["a.txt"]);
+    expect(nodes[nodes[ROOT_ID].children[0]].parent).toBe(ROOT_ID);
+    expect(problems).toEqual([{ id: "x", message: "is not reachable from the root (orphan); removed" }]);
+  });
+
+  it("creates a root when root_id is missing and adopts top-level nodes", () => {
+    const { problems, nodes } = validateStructure({ nodes: { a: file("a", null) } });
+    expect(names(nodes)).toEqual(["a"]);
+    expect(problems[0].message).toBe("root_id is missing; a new root was created");
+  });
+
+  it("repairs node shapes", () => {
+    const { problems, nodes } = validateStructure({
+      root_id: "root",
+      nodes: {
+        root: folder("root", null, ["a", "b", "c"]),
+        a: { id: "a", kind: "file", name: "", parent: "root" },
+        b: { id: "b", kind: "file", name: "b", parent: "root", children: [] },
+        c: { id: "c", kind: "thing", name: "c", parent: "root", description: 3 },
+        d: "nope",
+      },
+    });
+    expect(nodes.a.name).toBe("untitled");
+    expect("children" in nodes.b).toBe(false);
+    expect(nodes.c).toEqual({ id: "c", kind: "file", name: "c", parent: "root" });
+    expect(problems).toHaveLength(5);
+  });
+
+  it("treats prototype-named ids as plain ids", () => {
+    // JSON.parse keeps "__proto__" as an own key, like a loaded file would
+    const data = JSON.parse(
+      JSON.stringify({
+        root_id: "root",
+        nodes: {
+          root: folder("root", null, ["constructor", "toString", "proto", "hasOwnProperty"]),
+          constructor: file("constructor", "root"),
+          toString: folder("toString", "root", []),
+          proto: file("proto", "root"),
+        },
+      }).replaceAll('"proto"', '"__proto__"')
+    );
+    const { problems, nodes } = validateStructure(data);
+    expect(names(nodes)).toEqual(["constructor", "toString", "__proto__"]);
+    expect(problems.map((p) => p.message)).toEqual(['lists missing child "hasOwnProperty"; dropped']);
+  });
+});
+
+describe("topLevelIds / removeSubtrees / moveNodes", () => {
+  const nodes = buildFromNested({
+    name: "app",
+    kind: "folder",
+    children: [
+      { name: "a", kind: "folder", children: [{ name: "inner.txt", kind: "file" }] },
+      { name: "b.txt", kind: "file" },
+      { name: "c.txt", kind: "file" },
+    ],
+  });
+  const [a, b, c] = nodes[ROOT_ID].children;
+  const [inner] = nodes[a].children;
+
+  it("keeps only the outermost picked nodes, in tree order", () => {
+    expect(topLevelIds(nodes, [c, inner, ROOT_ID, "ghost", a])).toEqual([a, c]);
+  });
+
+  it("removes whole subtrees without touching the input", () => {
+    const left = removeSubtrees(nodes, [a, c]);
+    expect(names(left)).toEqual(["b.txt"]);
+    expect(left[inner]).toBeUndefined();
+    expect(names(nodes)).toEqual(["a", "b.txt", "c.txt"]);
+  });
+
+  it("moves into a folder, before and after a sibling", () => {
+    expect(names(moveNodes(nodes, [c], b, "before"))).toEqual(["a", "c.txt", "b.txt"]);
+    expect(names(moveNodes(nodes, [a], c, "after"))).toEqual(["b.txt", "c.txt", "a"]);
+    const moved = moveNodes(nodes, [b, c], a, "into");
+    expect(names(moved)).toEqual(["a"]);
+    expect(names(moved, a)).toEqual(["inner.txt", "b.txt", "c.txt"]);
+    expect(moved[b].parent).toBe(a);
+  });
+
+  it("returns the same map for a move into the node's own subtree", () => {
+    expect(moveNodes(nodes, [a], inner, "after")).toBe(nodes);
+    expect(moveNodes(nodes, [a], a, "into")).toBe(nodes);
+  });
+});
+
+describe("parsePathList", () => {
+  it("reads files, marked folders and folders implied by other paths", () => {
+    const text = './src/main.js\n"docs/"\nsrc\\util\\a.js\n\nsrc/main.js\nLICENSE';
+    expect(parsePathList(text)).toEqual([
+      { path: "src/main.js", kind: "file" },
+      { path: "docs", kind: "folder" },
+      { path: "src/util/a.js", kind: "file" },
+      { path: "LICENSE", kind: "file" },
+    ]);
+  });
+});
+
+describe("parsePathList (git C-quoting)", () => {
+  it("decodes octal UTF-8 bytes and escaped quotes in quoted lines", () => {
+    expect(parsePathList('"caf\\303\\251.txt"\n"docs/with \\"quote\\".md"')).toEqual([
+      { path: "café.txt", kind: "file" },
+      { path: 'docs/with "quote".md', kind: "file" },
+    ]);
+  });
+
+  it("reads \\\\ and \\t escapes in quoted lines; unquoted backslashes separate folders", () => {
+    expect(parsePathList('"back\\\\slash.txt"\n"tab\\there"\nwin\\dir\\a.txt')).toEqual([
+      { path: "back\\slash.txt", kind: "file" },
+      { path: "tab\there", kind: "file" },
+      { path: "win/dir/a.txt", kind: "file" },
+    ]);
+  });
+});
+
+describe("addPaths", () => {
+  const base = () =>
+    buildFromNested({ name: "app", kind: "folder", children: [{ name: "x", kind: "file" }, { name: "src", kind: "folder" }] });
+
+  it("creates missing folders and reuses existing ones", () => {
+    const { nodes, ids, added } = addPaths(base(), ROOT_ID, [
+      { path: "src/lib/a.js", kind: "file" },
+      { path: "src/lib/b.js", kind: "file" },
+    ]);
+    expect(added).toBe(3);
+    expect(ids.map((id) => nodes[id].name)).toEqual(["a.js", "b.js"]);
+    expect(names(nodes)).toEqual(["x", "src"]);
+  });
+
+  it("adds nothing for a path that exists already", () => {
+    const before = base();
+    const { added, ids } = addPaths(before, ROOT_ID, [{ path: "src", kind: "folder" }]);
+    expect(added).toBe(0);
+    expect(ids).toEqual([before[ROOT_ID].children[1]]);
+  });
+
+  it("skips paths where a file and a folder would share a name", () => {
+    const { nodes, added, clashes } = addPaths(base(), ROOT_ID, [
+      { path: "x/a.js", kind: "file" },
+      { path: "src", kind: "file" },
+    ]);
+    expect(added).toBe(0);
+    expect(names(nodes)).toEqual(["x", "src"]);
+    expect(clashes).toEqual([
+      { path: "x/a.js", name: "x", kind: "file" },
+      { path: "src", name: "src", kind: "folder" },
+    ]);
+  });
+});
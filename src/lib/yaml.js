@@ -0,0 +1,208 @@
+// Indented outline and YAML forms of the tree.
+import { escapeTreeName } from "./textTree.js";
+
+// Two-space indented outline, folders marked with a trailing "/". Read back by parseTextTree(text, {outline:true}).
+export function outlineText(nodes, rootId) {
+  const lines = [];
+  function walk(id, depth) {
+    const n = nodes[id];
+    const pad = "  ".repeat(depth);
+    if (n.kind === "folder") {
+      lines.push(`${pad}${escapeTreeName(n.name)}/`);
+      (n.children || []).forEach((cid) => walk(cid, depth + 1));
+    } else {
+      lines.push(`${pad}${escapeTreeName(n.name)}`);
+    }
+  }
+  walk(rootId, 0);
+  return lines.join("\n");
+}
+
+// Plain scalars that YAML would not read back as the same string get double quotes.
+function yamlScalar(s) {
+  const str = String(s);
+  const plain =
+    str === str.trim() &&
+    str !== "" &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(str) &&
+    !/: |:$| #|\p{Cc}/u.test(str) &&
+    !/^(~|null|true|false|yes|no|on|off|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?|0x[0-9a-fA-F]+|\.inf|\.nan)$/i.test(str);
+  return plain ? str : JSON.stringify(str);
+}
+
+/**
+ * YAML shape: a folder is a single-key map `name/: [children]`, a file is a
+ * plain string, so sibling order survives:
+ *   my-app/:
+ *     - src/:
+ *         - main.js
+ *     - public/: []
+ *     - README.md
+ */
+export function yamlTree(nodes, rootId) {
+  const lines = [];
+  function children(id, indent) {
+    (nodes[id].children || []).forEach((cid) => {
+      const c = nodes[cid];
+      if (c.kind === "folder") folder(c, indent, "- ");
+      else lines.push(`${" ".repeat(indent)}- ${yamlScalar(c.name)}`);
+    });
+  }
+  function folder(n, indent, marker) {
+    const key = `${" ".repeat(indent)}${marker}${yamlScalar(n.name + "/")}:`;
+    if (!(n.children || []).length) {
+      lines.push(`${key} []`);
+      return;
+    }
+    lines.push(key);
+    children(n.id, indent + marker.length + 2);
+  }
+  folder(nodes[rootId], 0, "");
+  return lines.join("\n") + "\n";
+}
+
+function yamlUnquote(t) {
+  if (t.startsWith('"')) return JSON.parse(t);
+  if (t.startsWith("'")) return t.slice(1, -1).replaceAll("''", "'");
+  return t;
+}
+
+// Index of the first character outside quotes that passes `test`, or -1.
+function indexOutsideQuotes(t, test) {
+  let quote = null;
+  for (let i = 0; i < t.length; i++) {
+    const c = t[i];
+    if (quote) {
+      if (c === "\\" && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:-]/.test(t[i - 1]))) {
+      quote = c;
+    } else if (test(t, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function yamlValue(t) {
+  const v = t.trim();
+  if (v === "" || v === "~" || v === "null") return null;
+  if (v === "[]") return [];
+  if (v === "{}") return {};
+  if (v.startsWith("[") && v.endsWith("]")) {
+    const items = [];
+    let rest = v.slice(1, -1);
+    while (rest.trim()) {
+      const at = indexOutsideQuotes(rest, (s, i) => s[i] === ",");
+      items.push(yamlUnquote((at < 0 ? rest : rest.slice(0, at)).trim()));
+      rest = at < 0 ? "" : rest.slice(at + 1);
+    }
+    return items;
+  }
+  return yamlUnquote(v);
+}
+
+/**
+ * Reads the block-style YAML subset that describes trees: nested sequences and
+ * mappings, plain/quoted scalars, `[]`/`{}`/simple flow lists and comments.
+ * Anchors, multi-line scalars and multiple documents are not supported.
+ */
+export function parseYaml(text) {
+  const lines = [];
+  String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((raw) => {
+      if (/^(---|\.\.\.)\s*$/.test(raw)) return;
+      if (/^ *\t/.test(raw)) throw new Error("YAML indentation must use spaces, not tabs.");
+      const hash = indexOutsideQuotes(raw, (s, i) => s[i] === "#" && (i === 0 || /\s/.test(s[i - 1])));
+      const line = (hash < 0 ? raw : raw.slice(0, hash)).replace(/\s+$/, "");
+      if (!line.trim()) return;
+      lines.push({ indent: line.length - line.trimStart().length, text: line.trim() });
+    });
+
+  let i = 0;
+  const isItem = (t) => t === "-" || t.startsWith("- ");
+  const keyEnd = (t) => indexOutsideQuotes(t, (s, j) => s[j] === ":" && (j === s.length - 1 || s[j + 1] === " "));
+
+  function block(indent) {
+    return isItem(lines[i].text) ? sequence(indent) : mapping(indent);
+  }
+
+  // Value of a "key:" or "-" with nothing after it: a nested block or null.
+  function nested(indent, allowSameIndentSeq) {
+    const next = lines[i];
+    if (next && next.indent > indent) return block(next.indent);
+    if (next && allowSameIndentSeq && next.indent === indent && isItem(next.text)) return sequence(indent);
+    return null;
+  }
+
+  function sequence(indent) {
+    const out = [];
+    while (i < lines.length && lines[i].indent === indent && isItem(lines[i].text)) {
+      const rest = lines[i].text.slice(1).trimStart();
+      if (!rest) {
+        i++;
+        out.push(nested(indent, false));
+      } else if (isItem(rest) || keyEnd(rest) >= 0) {
+        // "- key: value" starts a mapping whose keys line up with `key`
+        lines[i] = { indent: indent + lines[i].text.length - rest.length, text: rest };
+        out.push(block(lines[i].indent));
+      } else {
+        i++;
+        out.push(yamlValue(rest));
+      }
+    }
+    return out;
+  }
+
+  function mapping(indent) {
+    const out = {};
+    while (i < lines.length && lines[i].indent === indent && !isItem(lines[i].text)) {
+      const { text: t } = lines[i];
+      const at = keyEnd(t);
+      if (at < 0) throw new Error(`Expected "key: value" on line: ${t}`);
+      const key = yamlUnquote(t.slice(0, at).trim());
+      const rest = t.slice(at + 1).trim();
+      i++;
+      out[key] = rest ? yamlValue(rest) : nested(indent, true);
+    }
+    return out;
+  }
+
+  if (!lines.length) return null;
+  const value = block(lines[0].indent);
+  if (i < lines.length) throw new Error(`Unexpected indentation near: ${lines[i].text}`);
+  return value;
+}
+
+// YAML value -> nested shape for buildFromNested. Also accepts the map style
+// (`src/: {main.js: null}`) and the nested JSON shape ({name, kind, children}).
+export function yamlToNested(value) {
+  function entry(key, val) {
+    const k = String(key);
+    const name = k.replace(/\/+$/, "") || k;
+    if (k.endsWith("/") || (val !== null && typeof val === "object")) {
+      return { name, kind: "folder", children: toChildren(val) };
+    }
+    return { name, kind: "file" };
+  }
+  function toChildren(val) {
+    if (val == null) return [];
+    if (Array.isArray(val)) {
+      return val.flatMap((item) => {
+        if (item !== null && typeof item === "object") return Object.entries(item).map(([k, v]) => entry(k, v));
+        return item == null ? [] : [entry(item, null)];
+      });
+    }
+    if (typeof val === "object") return Object.entries(val).map(([k, v]) => entry(k, v));
+    return [entry(val, null)];
+  }
+
+  if (value && !Array.isArray(value) && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (Array.isArray(value.children) && keys.every((k) => ["name", "kind", "children"].includes(k))) return value;
+    if (keys.length === 1) return { ...entry(keys[0], value[keys[0]] ?? []), kind: "folder" };
+  }
+  return { name: "PROJECT", kind: "folder", children: toChildren(value) };
+}
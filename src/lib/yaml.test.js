@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { ROOT_ID, buildFromNested, toNested } from "./tree.js";
+import { parseTextTree } from "./textTree.js";
+import { outlineText, parseYaml, yamlToNested, yamlTree } from "./yaml.js";
+
+const sample = {
+  name: "my app",
+  kind: "folder",
+  children: [
+    {
+      name: "src",
+      kind: "folder",
+      children: [
+        { name: "main.js", kind: "file" },
+        { name: "empty", kind: "folder", children: [] },
+      ],
+    },
+    { name: "#notes.md", kind: "file" },
+    { name: "true", kind: "file" },
+    { name: "- dash.txt", kind: "file" },
+    { name: "it's: \"quoted\"", kind: "file" },
+  ],
+};
+
+// Neither form carries descriptions.
+describe("YAML", () => {
+  it("reads back what yamlTree writes, awkward names included", () => {
+    const text = yamlTree(buildFromNested(sample), ROOT_ID);
+    expect(yamlToNested(parseYaml(text))).toEqual(sample);
+  });
+
+  it("accepts the map style", () => {
+    const value = parseYaml("app/:\n  src/:\n    main.js:\n  README.md:\n");
+    expect(yamlToNested(value)).toEqual({
+      name: "app",
+      kind: "folder",
+      children: [
+        { name: "src", kind: "folder", children: [{ name: "main.js", kind: "file" }] },
+        { name: "README.md", kind: "file" },
+      ],
+    });
+  });
+
+  it("rejects tabs in indentation", () => {
+    expect(() => parseYaml("a:\n\tb: 1")).toThrow();
+  });
+});
+
+describe("outline", () => {
+  it("keeps \" # \" in names instead of reading a description", () => {
+    const nested = {
+      name: "app",
+      kind: "folder",
+      children: [
+        { name: "notes #", kind: "folder", children: [] },
+        { name: "a # b.txt", kind: "file" },
+      ],
+    };
+    const text = outlineText(buildFromNested(nested), ROOT_ID);
+    expect(text).toBe("app/\n  notes \\#/\n  a \\# b.txt");
+    expect(parseTextTree(text, { outline: true })).toEqual(nested);
+  });
+
+  it("only treats trailing slashes as the sole folder marker for outlines", () => {
+    const text = "app/\n  bin\n  lib/";
+    expect(parseTextTree(text).children[0].kind).toBe("folder");
+    expect(parseTextTree(text, { outline: true }).children[0].kind).toBe("file");
+  });
+
+  it("reads back what outlineText writes", () => {
+    // "- " at the start of a line is a list marker in outlines, so that name can't survive
+    const nodes = buildFromNested({ ...sample, children: sample.children.filter((c) => !c.name.startsWith("- ")) });
+    expect(parseTextTree(outlineText(nodes, ROOT_ID), { outline: true })).toEqual(toNested(nodes, ROOT_ID));
+  });
+});
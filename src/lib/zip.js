@@ -0,0 +1,79 @@
+// ZIP export of the empty structure.
+import { assertWritableNames } from "./names.js";
+import { collectPaths } from "./scaffold.js";
+
+// Every entry is empty, so a stored (uncompressed) archive with CRC 0 is all we need.
+const ZIP_MAX_ENTRIES = 0xffff; // classic ZIP without ZIP64
+const ZIP_YIELD_EVERY = 500;
+
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+/**
+ * Builds a ZIP Blob of empty folders and files from [{segments, kind}]
+ * (see collectPaths). Yields to the event loop every few hundred entries so
+ * large trees don't lock up the page.
+ */
+export async function buildEmptyZip(paths) {
+  if (paths.length > ZIP_MAX_ENTRIES) throw new Error(`Too many entries for a ZIP (${paths.length}).`);
+
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (let i = 0; i < paths.length; i++) {
+    const { segments, kind } = paths[i];
+    const isDir = kind === "folder";
+    const name = encoder.encode(segments.join("/") + (isDir ? "/" : ""));
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    // crc, sizes, extra length: all zero
+    local.setUint16(26, name.length, true);
+    locals.push(local, name);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 0x0314, true); // made by: Unix, spec 2.0
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint16(28, name.length, true);
+    const mode = isDir ? (0o40755 << 16) | 0x10 : 0o100644 << 16;
+    central.setUint32(38, mode >>> 0, true);
+    central.setUint32(42, offset, true);
+    centrals.push(central, name);
+
+    offset += 30 + name.length;
+    if (i % ZIP_YIELD_EVERY === ZIP_YIELD_EVERY - 1) await new Promise((r) => setTimeout(r, 0));
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, paths.length, true);
+  end.setUint16(10, paths.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...locals, ...centrals, end], { type: "application/zip" });
+}
+
+// The tree below rootId as a ZIP. Error-level names are refused first: ".." or "a/b"
+// entries would unpack outside the target folder.
+export async function buildTreeZip(nodes, rootId) {
+  assertWritableNames(nodes, rootId);
+  return buildEmptyZip(collectPaths(nodes, rootId));
+}
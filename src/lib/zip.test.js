@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { ROOT_ID, buildFromNested } from "./tree.js";
+import { buildEmptyZip, buildTreeZip } from "./zip.js";
+
+// Entry names and external attributes from the central directory, located through the end record.
+function readCentralDirectory(bytes) {
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  expect(at + view.getUint32(end + 12, true)).toBe(end);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(at + 28, true);
+    const localOffset = view.getUint32(at + 42, true);
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    entries.push({
+      name: new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength)),
+      directory: (view.getUint32(at + 38, true) & 0x10) !== 0,
+    });
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe("buildEmptyZip", () => {
+  it("writes a folder entry for each folder and an empty file for each file", async () => {
+    const blob = await buildEmptyZip([
+      { segments: ["app"], kind: "folder" },
+      { segments: ["app", "src"], kind: "folder" },
+      { segments: ["app", "src", "main.js"], kind: "file" },
+      { segments: ["app", "naïve ✓.md"], kind: "file" },
+    ]);
+    expect(blob.type).toBe("application/zip");
+    const entries = readCentralDirectory(new Uint8Array(await blob.arrayBuffer()));
+    expect(entries).toEqual([
+      { name: "app/", directory: true },
+      { name: "app/src/", directory: true },
+      { name: "app/src/main.js", directory: false },
+      { name: "app/naïve ✓.md", directory: false },
+    ]);
+  });
+
+  it("writes a valid empty archive", async () => {
+    const blob = await buildEmptyZip([]);
+    expect(readCentralDirectory(new Uint8Array(await blob.arrayBuffer()))).toEqual([]);
+  });
+
+  it("refuses more entries than a classic ZIP holds", async () => {
+    const paths = Array.from({ length: 0x10000 }, (_, i) => ({ segments: [`f${i}`], kind: "file" }));
+    await expect(buildEmptyZip(paths)).rejects.toThrow("Too many entries for a ZIP (65536).");
+  });
+});
+
+describe("buildTreeZip", () => {
+  it("zips the whole tree", async () => {
+    const nodes = buildFromNested({ name: "app", kind: "folder", children: [{ name: "a.txt", kind: "file" }] });
+    const entries = readCentralDirectory(new Uint8Array(await (await buildTreeZip(nodes, ROOT_ID)).arrayBuffer()));
+    expect(entries.map((e) => e.name)).toEqual(["app/", "app/a.txt"]);
+  });
+
+  it("refuses names that would unpack outside the target folder", async () => {
+    const nodes = buildFromNested({
+      name: "app",
+      kind: "folder",
+      children: [{ name: "..", kind: "folder", children: [{ name: "../../.bashrc", kind: "file" }] }],
+    });
+    await expect(buildTreeZip(nodes, ROOT_ID)).rejects.toThrow("“../../.bashrc”: Contains “/”, the path separator");
+  });
+});